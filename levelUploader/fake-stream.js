@@ -0,0 +1,105 @@
+// Fake Icecast station for trying out the radio's now-playing display.
+//
+//   node fake-stream.js [port]        (default 8001)
+//
+// Loops assets/audio/home_ambient.mp3 at /stream, paced like a live stream.
+// Clients sending "Icy-MetaData: 1" (the uploader's /api/icy proxy) get ICY
+// metadata blocks; browsers get plain audio. The title moves on every
+// TITLE_EVERY_MS and is also served at /now-playing.json and /now-playing.txt
+// (for radio.json "metadataUrl").
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.argv[2]) || 8001;
+const AUDIO_FILE = path.resolve(__dirname, "..", "assets", "audio", "home_ambient.mp3");
+const BITRATE_KBPS = 256;        // of AUDIO_FILE
+const METAINT = 16000;           // audio bytes between metadata blocks
+const TITLE_EVERY_MS = 20000;
+const TICK_MS = 250;
+const TITLES = [
+  "Fake Station - Morning Walk",
+  "Fake Station - Rain on the Window",
+  "Fake Station - Ambulance in the Distance",
+  "Fake Station - Quiet Street",
+];
+
+const audio = fs.readFileSync(AUDIO_FILE);
+const startedAt = Date.now();
+
+function currentTitle() {
+  return TITLES[Math.floor((Date.now() - startedAt) / TITLE_EVERY_MS) % TITLES.length];
+}
+
+/** One ICY metadata block: length byte (× 16) + zero-padded text. */
+function metadataBlock(title) {
+  const text = Buffer.from(`StreamTitle='${title.replace(/'/g, "’")}';`, "utf8");
+  const len = Math.ceil(text.length / 16);
+  const block = Buffer.alloc(1 + len * 16);
+  block[0] = len;
+  text.copy(block, 1);
+  return block;
+}
+
+function serveStream(req, res) {
+  const withMeta = req.headers["icy-metadata"] === "1";
+  res.writeHead(200, {
+    "Content-Type": "audio/mpeg",
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*",
+    "icy-name": "Fake Station",
+    ...(withMeta ? { "icy-metaint": String(METAINT) } : {}),
+  });
+
+  let pos = 0;          // position in the audio file
+  let untilMeta = METAINT;
+  let lastTitle = "";
+
+  // Audio bytes out, with a metadata block every METAINT bytes (empty unless
+  // the title changed, like real servers do)
+  const send = (bytes) => {
+    while (bytes > 0) {
+      const n = Math.min(bytes, audio.length - pos, withMeta ? untilMeta : Infinity);
+      res.write(audio.subarray(pos, pos + n));
+      pos = (pos + n) % audio.length;
+      bytes -= n;
+      if (!withMeta) continue;
+      untilMeta -= n;
+      if (untilMeta === 0) {
+        const title = currentTitle();
+        res.write(title === lastTitle ? Buffer.alloc(1) : metadataBlock(title));
+        lastTitle = title;
+        untilMeta = METAINT;
+      }
+    }
+  };
+
+  // A few seconds up front so players start quickly, then real time (+5%)
+  const bytesPerTick = Math.ceil((BITRATE_KBPS * 1000 / 8) * (TICK_MS / 1000) * 1.05);
+  send(bytesPerTick * 12);
+  const timer = setInterval(() => send(bytesPerTick), TICK_MS);
+  req.on("close", () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const cors = { "Access-Control-Allow-Origin": "*", "Cache-Control": "no-store" };
+
+  if (pathname === "/stream") return serveStream(req, res);
+  if (pathname === "/now-playing.json") {
+    res.writeHead(200, { ...cors, "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ now: { title: currentTitle() } }));
+  }
+  if (pathname === "/now-playing.txt") {
+    res.writeHead(200, { ...cors, "Content-Type": "text/plain; charset=utf-8" });
+    return res.end(currentTitle());
+  }
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end("Not found");
+});
+
+server.listen(PORT, () => {
+  console.log(`Fake stream at http://localhost:${PORT}/stream`);
+  console.log(`Now playing: http://localhost:${PORT}/now-playing.json (metadataPath "now.title")`);
+});
@@ -0,0 +1,96 @@
+const http = require("http");
+const https = require("https");
+
+// ICY (Shoutcast / Icecast) in-stream metadata. A client that sends
+// "Icy-MetaData: 1" gets a "icy-metaint: N" header; the body is then N audio
+// bytes, one length byte L, L × 16 bytes of metadata, N audio bytes, ...
+// The metadata block looks like: StreamTitle='Artist - Title';StreamUrl='';
+
+const MAX_REDIRECTS = 3;
+// Sanity cap: real servers use 8–64 KB
+const MAX_METAINT = 1024 * 1024;
+
+/** Pull StreamTitle out of a metadata block ("" when it carries none). */
+function parseStreamTitle(block) {
+  const text = block.toString("utf8").replace(/\0+$/, "");
+  const m = /StreamTitle='(.*?)';/s.exec(text);
+  return m ? m[1].trim() : "";
+}
+
+/**
+ * Connect to a stream, read up to its first non-empty metadata block and hang
+ * up. Resolves { title, name } (name = icy-name header, if any); rejects with
+ * an error carrying `status` (502 no metadata / bad reply, 504 timeout).
+ */
+function readIcyTitle(url, { timeoutMs = 8000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let req = null;
+    let done = false;
+
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (req) req.destroy();
+      if (err) reject(err);
+      else resolve(value);
+    };
+    const fail = (status, message) => finish(Object.assign(new Error(message), { status }));
+    const timer = setTimeout(() => fail(504, "Timed out waiting for stream metadata."), timeoutMs);
+
+    const open = (target, redirects) => {
+      const lib = target.protocol === "https:" ? https : http;
+      req = lib.get(target, { headers: { "Icy-MetaData": "1", "User-Agent": "LevelQ" } }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          if (redirects >= MAX_REDIRECTS) return fail(502, "Too many redirects.");
+          return open(new URL(res.headers.location, target), redirects + 1);
+        }
+        if (res.statusCode !== 200) return fail(502, `Stream answered ${res.statusCode}.`);
+
+        const metaint = Number(res.headers["icy-metaint"]);
+        if (!Number.isInteger(metaint) || metaint <= 0 || metaint > MAX_METAINT) {
+          return fail(502, "Stream sends no ICY metadata.");
+        }
+        const name = String(res.headers["icy-name"] || "").trim();
+
+        // Walk audio / length / metadata chunks until a block names a title
+        let skip = metaint;   // audio bytes left before the next length byte
+        let metaLeft = -1;    // metadata bytes left (-1 = expecting a length byte)
+        let meta = [];
+        res.on("data", (chunk) => {
+          let i = 0;
+          while (i < chunk.length && !done) {
+            if (skip > 0) {
+              const n = Math.min(skip, chunk.length - i);
+              skip -= n;
+              i += n;
+            } else if (metaLeft === -1) {
+              metaLeft = chunk[i++] * 16;
+              meta = [];
+              if (metaLeft === 0) { metaLeft = -1; skip = metaint; }
+            } else {
+              const n = Math.min(metaLeft, chunk.length - i);
+              meta.push(chunk.subarray(i, i + n));
+              metaLeft -= n;
+              i += n;
+              if (metaLeft === 0) {
+                const title = parseStreamTitle(Buffer.concat(meta));
+                if (title) return finish(null, { title, name });
+                metaLeft = -1;
+                skip = metaint;
+              }
+            }
+          }
+        });
+        res.on("end", () => fail(502, "Stream ended before sending a title."));
+        res.on("error", (err) => fail(502, err.message));
+      });
+      req.on("error", (err) => fail(502, err.message));
+    };
+
+    open(new URL(url), 0);
+  });
+}
+
+module.exports = { readIcyTitle, parseStreamTitle };
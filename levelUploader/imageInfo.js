@@ -0,0 +1,78 @@
+const fs = require("fs");
+
+// Enough of the file to find the header of every supported format
+// (JPEG can carry large EXIF blocks before its size marker).
+const HEAD_BYTES = 256 * 1024;
+
+/** Read the first `length` bytes of a file. */
+function readHead(filePath, length) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buf = Buffer.alloc(length);
+    const n = fs.readSync(fd, buf, 0, length, 0);
+    return buf.subarray(0, n);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function pngInfo(buf) {
+  // Signature (8) + IHDR length (4) + "IHDR" (4) + width (4) + height (4)
+  if (buf.length < 24 || buf.toString("latin1", 12, 16) !== "IHDR") return null;
+  return { format: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function jpegInfo(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) { i++; continue; }
+    const marker = buf[i + 1];
+    // SOF0..SOF15 carry the size, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { format: "jpeg", width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return { format: "jpeg", width: null, height: null };
+}
+
+function webpInfo(buf) {
+  const chunk = buf.toString("latin1", 12, 16);
+  if (chunk === "VP8 " && buf.length >= 30) {
+    return { format: "webp", width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { format: "webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buf.length >= 30) {
+    return { format: "webp", width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return { format: "webp", width: null, height: null };
+}
+
+/**
+ * Decode just the image header of a file.
+ * Returns { format: "png"|"jpeg"|"gif"|"webp", width, height } or null if the
+ * file is not a recognised image. width/height are null if the header is cut off.
+ */
+function readImageInfo(filePath) {
+  const buf = readHead(filePath, HEAD_BYTES);
+
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) {
+    return pngInfo(buf);
+  }
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+    return jpegInfo(buf);
+  }
+  if (buf.length >= 10 && (buf.toString("latin1", 0, 6) === "GIF87a" || buf.toString("latin1", 0, 6) === "GIF89a")) {
+    return { format: "gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.length >= 16 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+    return webpInfo(buf);
+  }
+  return null;
+}
+
+module.exports = { readImageInfo };
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+
+// Level folders and the data files that list them (levels.json, carousel.json)
+// change together or not at all. A change is journaled before anything moves,
+// so an error rolls it back at once and a crash rolls it back on next start
+// (see recoverInterruptedChanges).
+
+/**
+ * Write a file via temp file + rename, so readers always see either the old
+ * or the new content — never a half-written file.
+ */
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.tmp-${process.pid}-${Date.now()}`;
+  try {
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+    throw err;
+  }
+}
+
+function jsonText(data) {
+  return JSON.stringify(data, null, 2) + "\n";
+}
+
+/** Remove a directory recursively. */
+function rmDir(dir) {
+  if (fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Level changes for one project layout:
+ *   { levelsDir, levelsJson, carouselJson }  (absolute paths)
+ * The journal lives in levelsDir while a change is being committed.
+ */
+function createLevelStore({ levelsDir, levelsJson, carouselJson }) {
+  const journalFile = path.join(levelsDir, ".upload-journal.json");
+
+  /**
+   * Replace (or, with no stagingDir, remove) a level folder and write
+   * levels.json — and carousel.json, when carouselData is given — as one unit:
+   *
+   *   1. journal — records how to undo, so a crash mid-way is rolled back on restart
+   *   2. backup  — the current folder is renamed aside, not deleted
+   *   3. swap    — the staged folder is renamed into place
+   *   4. json    — levels.json, then carousel.json, via temp file + rename
+   *   5. commit  — the journal is removed; from here on the change stands
+   *   6. cleanup — the backup is removed (a leftover backup is harmless)
+   *
+   * If a step throws, the steps before it are undone and the error is rethrown.
+   * stagingDir must be inside levelsDir so the renames stay on one filesystem.
+   */
+  function commitLevelChange(levelId, stagingDir, levelsData, carouselData = null) {
+    const levelDir = path.join(levelsDir, levelId);
+    const hadPrevious = fs.existsSync(levelDir);
+    const journal = {
+      levelId,
+      hadPrevious,
+      backupDir: hadPrevious ? path.join(levelsDir, `.backup-${levelId}-${Date.now()}`) : null,
+      ...previousData(carouselData),
+    };
+
+    runJournaled(journal, () => {
+      if (hadPrevious) fs.renameSync(levelDir, journal.backupDir);
+      if (stagingDir) fs.renameSync(stagingDir, levelDir);
+      writeFileAtomic(levelsJson, jsonText(levelsData));
+      if (carouselData) writeFileAtomic(carouselJson, jsonText(carouselData));
+    });
+
+    if (journal.backupDir) {
+      try {
+        rmDir(journal.backupDir);
+      } catch (err) {
+        console.warn(`[upload] Could not remove backup ${journal.backupDir}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Write levels.json and, when carouselData is given, carousel.json for a
+   * change to levelId's entry that leaves its folder alone (rename, exclusion).
+   * Journaled like commitLevelChange: both files change or neither does.
+   */
+  function commitDataChange(levelId, levelsData, carouselData = null) {
+    const journal = { levelId, dataOnly: true, ...previousData(carouselData) };
+
+    runJournaled(journal, () => {
+      writeFileAtomic(levelsJson, jsonText(levelsData));
+      if (carouselData) writeFileAtomic(carouselJson, jsonText(carouselData));
+    });
+  }
+
+  // The current data files, as the journal's record of what to restore
+  function previousData(carouselData) {
+    const previous = { previousLevelsJson: fs.readFileSync(levelsJson, "utf-8") };
+    // null = carousel.json didn't exist (rollback removes it again)
+    if (carouselData) {
+      previous.previousCarouselJson = fs.existsSync(carouselJson) ? fs.readFileSync(carouselJson, "utf-8") : null;
+    }
+    return previous;
+  }
+
+  // Journal, run the steps, commit. If a step throws, the change is rolled back
+  // and the error rethrown.
+  function runJournaled(journal, steps) {
+    writeFileAtomic(journalFile, JSON.stringify(journal));
+    try {
+      steps();
+      fs.unlinkSync(journalFile);
+    } catch (err) {
+      try {
+        rollbackLevelChange(journal);
+      } catch (rollbackErr) {
+        // Journal is still on disk — the rollback is retried on next start
+        console.error(`[upload] Rollback of level ${journal.levelId} failed:`, rollbackErr);
+      }
+      throw err;
+    }
+  }
+
+  /** Undo an uncommitted level change described by its journal. */
+  function rollbackLevelChange(journal) {
+    if (!journal.dataOnly) {
+      const levelDir = path.join(levelsDir, journal.levelId);
+      const backupExists = Boolean(journal.backupDir) && fs.existsSync(journal.backupDir);
+
+      // Whatever sits at levelDir is new, unless the old folder never got moved aside
+      if (backupExists || !journal.hadPrevious) rmDir(levelDir);
+      if (backupExists) fs.renameSync(journal.backupDir, levelDir);
+    }
+
+    writeFileAtomic(levelsJson, journal.previousLevelsJson);
+    if (journal.previousCarouselJson !== undefined) {
+      if (journal.previousCarouselJson !== null) writeFileAtomic(carouselJson, journal.previousCarouselJson);
+      else if (fs.existsSync(carouselJson)) fs.unlinkSync(carouselJson);
+    }
+    if (fs.existsSync(journalFile)) fs.unlinkSync(journalFile);
+  }
+
+  /**
+   * Run at startup: roll back a level change interrupted by a crash, and remove
+   * leftovers (staging/backup folders, temp json files) of interrupted writes.
+   */
+  function recoverInterruptedChanges() {
+    if (fs.existsSync(journalFile)) {
+      const journal = JSON.parse(fs.readFileSync(journalFile, "utf-8"));
+      console.warn(`[recover] Rolling back interrupted change to level ${journal.levelId}`);
+      rollbackLevelChange(journal);
+    }
+
+    for (const name of fs.readdirSync(levelsDir)) {
+      if (name.startsWith(".staging-") || name.startsWith(".backup-")) {
+        console.warn(`[recover] Removing leftover ${name}`);
+        rmDir(path.join(levelsDir, name));
+      }
+    }
+
+    for (const file of [levelsJson, carouselJson, journalFile]) {
+      const dir = path.dirname(file);
+      const prefix = `${path.basename(file)}.tmp-`;
+      for (const name of fs.readdirSync(dir)) {
+        if (name.startsWith(prefix)) fs.unlinkSync(path.join(dir, name));
+      }
+    }
+  }
+
+  return { journalFile, commitLevelChange, commitDataChange, rollbackLevelChange, recoverInterruptedChanges };
+}
+
+module.exports = { createLevelStore, writeFileAtomic, rmDir };
@@ -8,8 +8,13 @@ const state = {
   underlays: [],  // [{ files: [], config: {} }]
   category: "common",
   rarity: 1,
+  screens: 1,     // level width in screens (images are screens × 16:9)
   existingLevels: [],
   nextId: "001",
+  // Existing level being edited: { level, files, version } (null for a new level)
+  editing: null,
+  // Aborts the level load still in flight when the selection changes again
+  loadController: null,
 };
 
 // ---------------------------------------------------------------------------
@@ -30,6 +35,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   document.getElementById("rarityInput").addEventListener("input", (e) => {
     state.rarity = Math.max(1, Math.min(10, parseInt(e.target.value, 10) || 1));
   });
+  document.getElementById("screensInput").addEventListener("input", (e) => {
+    state.screens = Math.max(1, Number(e.target.value) || 1);
+    PREVIEW.invalidate();
+  });
+
+  PREVIEW.init({ state, sortFilesByIndex, existingFileUrl });
 });
 
 async function fetchLevels() {
@@ -54,35 +65,151 @@ function populateLevelSelector() {
   opt.textContent = `New level (${state.nextId})`;
   sel.appendChild(opt);
 
-  // Existing levels (for overwrite)
+  // Existing levels (for editing)
   for (const lv of state.existingLevels) {
     const o = document.createElement("option");
     o.value = lv.id;
-    o.textContent = `Overwrite ${lv.id} — ${lv.name}`;
+    o.textContent = `Edit ${lv.id} — ${lv.name}`;
     sel.appendChild(o);
   }
 }
 
-function onTargetChange() {
+async function onTargetChange() {
   const val = document.getElementById("levelTarget").value;
   const warn = document.getElementById("overwriteWarning");
+
+  // Only the latest selection may fill the form
+  state.loadController?.abort();
+  const controller = new AbortController();
+  state.loadController = controller;
+
+  resetForm();
   if (val === "__new__") {
     warn.classList.add("hidden");
-    state.category = "common";
-    state.rarity = 1;
   } else {
     warn.classList.remove("hidden");
-    const existing = state.existingLevels.find((l) => l.id === val);
-    if (existing) {
-      state.category = existing.category || "common";
-      state.rarity = existing.rarity || 1;
-    }
+    await loadExistingLevel(val, controller.signal);
+    if (controller.signal.aborted) return;
   }
   document.getElementById("categorySelect").value = state.category;
   document.getElementById("rarityInput").value = state.rarity;
+  document.getElementById("screensInput").value = state.screens;
   updateUploadBtn();
 }
 
+/**
+ * Load an existing level into the form: classification, current background
+ * and one prefilled card per layer, with thumbnails served from disk.
+ */
+async function loadExistingLevel(id, signal) {
+  try {
+    const res = await fetch(`/api/levels/${encodeURIComponent(id)}`, { signal });
+    const data = await res.json();
+    if (signal?.aborted) return;
+    if (!res.ok) throw new Error(data.error || "Failed to load level");
+
+    state.editing = { level: data.level, files: data.files || [], version: Date.now() };
+    state.category = data.level.category || "common";
+    state.rarity = data.level.rarity || 1;
+    state.screens = data.level.screens || 1;
+
+    renderExistingBackground();
+    for (const spec of data.level.underlays || []) addLayer("underlay", spec);
+    for (const spec of data.level.overlays || []) addLayer("overlay", spec);
+    setStatus(`Editing level ${id}. Only dropped files are uploaded.`, "");
+  } catch (err) {
+    if (signal?.aborted) return; // superseded by a newer selection
+    state.editing = null;
+    setStatus(`Failed to load level ${id}: ` + err.message, "error");
+  }
+}
+
+/** URL of a file inside the level being edited (cache-busted per load). */
+function existingFileUrl(relPath) {
+  const { level, version } = state.editing;
+  return `/assets/levels/${encodeURIComponent(level.id)}/${relPath}?v=${version}`;
+}
+
+/** Files on disk for one layer folder of the level being edited. */
+function existingLayerFiles(folder) {
+  if (!state.editing) return [];
+  return state.editing.files.filter((f) => f.startsWith(`${folder}/`));
+}
+
+/** Pick up to n evenly spaced items (first and last included). */
+function sampleEvenly(items, n) {
+  if (items.length <= n) return items;
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    out.push(items[Math.round((i * (items.length - 1)) / (n - 1))]);
+  }
+  return out;
+}
+
+function renderThumbs(el, relPaths) {
+  for (const rel of relPaths) {
+    const img = document.createElement("img");
+    img.className = "thumb";
+    img.loading = "lazy";
+    img.src = existingFileUrl(rel);
+    img.alt = rel;
+    el.appendChild(img);
+  }
+}
+
+function renderExistingBackground() {
+  PREVIEW.invalidate();
+  const el = document.getElementById("bgExisting");
+  el.innerHTML = "";
+  const hasBg = state.editing && state.editing.files.includes("background.png");
+  el.classList.toggle("hidden", !hasBg);
+  if (!hasBg) return;
+
+  const strip = document.createElement("div");
+  strip.className = "thumb-strip";
+  renderThumbs(strip, ["background.png"]);
+  el.appendChild(strip);
+
+  const note = document.createElement("div");
+  note.className = "existing-note";
+  note.textContent = state.backgroundFile
+    ? "Current background — replaced by the dropped file."
+    : "Current background — kept unless you drop a new one.";
+  el.appendChild(note);
+}
+
+/**
+ * Show what is on disk for a layer loaded from an existing level, and
+ * whether it will be kept or replaced by dropped files.
+ */
+function renderExistingLayer(card, layer) {
+  const el = card.querySelector(".existing-files");
+  el.innerHTML = "";
+  const existing = layer.existing;
+  el.classList.toggle("hidden", !existing);
+  if (!existing) return;
+
+  const strip = document.createElement("div");
+  strip.className = "thumb-strip";
+  renderThumbs(strip, sampleEvenly(existing.files, 5));
+  el.appendChild(strip);
+
+  const note = document.createElement("div");
+  note.className = "existing-note";
+  const what = existing.type === "static"
+    ? `${existing.folder} · static`
+    : `${existing.folder} · ${existing.files.length} frames`;
+  if (layer.files.length > 0) {
+    note.textContent = `On disk: ${what} — replaced by the dropped files.`;
+  } else if (layer.config.type !== existing.type) {
+    note.textContent = `On disk: ${what} — type changed, drop new files for this layer.`;
+    note.classList.add("warn");
+  } else {
+    note.textContent = `On disk: ${what} — kept.`;
+  }
+  el.appendChild(note);
+}
+
 // ---------------------------------------------------------------------------
 // Background dropzone
 // ---------------------------------------------------------------------------
@@ -98,8 +225,10 @@ function setupBackgroundDropzone() {
       renderFileList(listEl, [state.backgroundFile], "background.png", (idx) => {
         state.backgroundFile = null;
         renderFileList(listEl, [], null, null);
+        renderExistingBackground();
         updateUploadBtn();
       });
+      renderExistingBackground();
       updateUploadBtn();
     }
   });
@@ -111,7 +240,37 @@ function setupBackgroundDropzone() {
 
 let layerCounter = 0;
 
-function addLayer(kind) {
+// Parallax depth factors as typed in a layer card ("" = the game's default)
+const DEPTH_KEYS = ["zoom", "follow", "offsetY", "maxPan"];
+
+function depthFromSpec(parallax) {
+  const p = parallax && typeof parallax === "object" ? parallax : {};
+  return Object.fromEntries(DEPTH_KEYS.map((k) => [k, p[k] ?? ""]));
+}
+
+/** Uploader config for a layer spec from levels.json. */
+function layerConfigFromSpec(spec) {
+  return {
+    type: String(spec.type || "frames").toLowerCase(),
+    rendering: spec.rendering || "loop",
+    animation: spec.animation || "loop",
+    fps: Number(spec.fps) || 12,
+    parallax: Boolean(spec.parallax),
+    depth: depthFromSpec(spec.parallax),
+    startMs: Number(spec.startMs) || 0,
+    intervalMs: Number(spec.intervalMs) || 0,
+    randomInterval: Boolean(spec.randomInterval),
+    minIntervalMs: Number(spec.minIntervalMs ?? 2000),
+    maxIntervalMs: Number(spec.maxIntervalMs ?? 8000),
+    repeatCount: Number(spec.repeatCount ?? -1),
+    showFirstFrame: Boolean(spec.showFirstFrame),
+    // Tells the server to reuse this folder's files when no new files are dropped
+    existingFolder: spec.folder,
+  };
+}
+
+// spec: optional layer entry from levels.json (editing an existing level)
+function addLayer(kind, spec = null) {
   const idx = kind === "overlay" ? state.overlays.length : state.underlays.length;
   const layer = {
     files: [],
@@ -121,6 +280,7 @@ function addLayer(kind) {
       animation: "loop",
       fps: 12,
       parallax: false,
+      depth: depthFromSpec(null),
       startMs: 0,
       intervalMs: 0,
       randomInterval: false,
@@ -129,8 +289,18 @@ function addLayer(kind) {
       repeatCount: -1,
       showFirstFrame: false,
     },
+    existing: null,
   };
 
+  if (spec) {
+    layer.config = { ...layer.config, ...layerConfigFromSpec(spec) };
+    layer.existing = {
+      folder: spec.folder,
+      type: layer.config.type,
+      files: existingLayerFiles(spec.folder).filter((f) => /\.(png|jpe?g|webp|gif)$/i.test(f)),
+    };
+  }
+
   if (kind === "overlay") {
     state.overlays.push(layer);
   } else {
@@ -153,11 +323,6 @@ function addLayer(kind) {
   const radios = card.querySelectorAll('input[type="radio"]');
   radios.forEach((r) => (r.name = `type_${uid}`));
 
-  // Show parallax row only for overlays
-  if (kind === "overlay") {
-    card.querySelector(".parallax-row").classList.remove("hidden");
-  }
-
   // Wire dropzone
   const dz = card.querySelector(".layer-dropzone");
   const input = dz.querySelector("input[type=file]");
@@ -171,6 +336,11 @@ function addLayer(kind) {
 
   // Wire config controls
   wireLayerConfig(card, layer, listEl);
+  renderExistingLayer(card, layer);
+
+  // Any settings change replays the preview
+  card.addEventListener("input", () => PREVIEW.invalidate());
+  card.addEventListener("change", () => PREVIEW.invalidate());
 
   // Remove button
   card.querySelector(".remove-layer-btn").addEventListener("click", () => {
@@ -180,9 +350,11 @@ function addLayer(kind) {
     card.remove();
     renumberLayers(kind);
     updateUploadBtn();
+    PREVIEW.invalidate();
   });
 
   container.appendChild(card);
+  PREVIEW.invalidate();
 }
 
 function wireLayerConfig(card, layer, listEl) {
@@ -194,7 +366,19 @@ function wireLayerConfig(card, layer, listEl) {
   const renderingSel = card.querySelector(".rendering-select");
   const fpsInput = card.querySelector(".fps-input");
   const parallaxCheck = card.querySelector(".parallax-check");
+  const parallaxOpts = card.querySelector(".parallax-options");
   const randomCheck = card.querySelector(".random-interval-check");
+  const animationSel = card.querySelector(".animation-select");
+  const showFirstFrameCheck = card.querySelector(".show-first-frame-check");
+
+  // Reflect the initial config (prefilled when editing an existing level)
+  radios.forEach((r) => (r.checked = r.value === layer.config.type));
+  renderingSel.value = layer.config.rendering;
+  fpsInput.value = layer.config.fps;
+  animationSel.value = layer.config.animation;
+  parallaxCheck.checked = layer.config.parallax;
+  randomCheck.checked = layer.config.randomInterval;
+  showFirstFrameCheck.checked = layer.config.showFirstFrame;
 
   function updateVisibility() {
     const isFrames = layer.config.type === "frames";
@@ -205,6 +389,7 @@ function wireLayerConfig(card, layer, listEl) {
     timedOpts.classList.toggle("hidden", !showTimed);
     intermittentOpts.classList.toggle("hidden", !(isFrames && rendering === "intermittent"));
     randomOpts.classList.toggle("hidden", !layer.config.randomInterval);
+    parallaxOpts.classList.toggle("hidden", !layer.config.parallax);
   }
 
   // Type radio
@@ -228,7 +413,6 @@ function wireLayerConfig(card, layer, listEl) {
   });
 
   // Animation
-  const animationSel = card.querySelector(".animation-select");
   animationSel.addEventListener("change", () => {
     layer.config.animation = animationSel.value;
   });
@@ -236,7 +420,15 @@ function wireLayerConfig(card, layer, listEl) {
   // Parallax
   parallaxCheck.addEventListener("change", () => {
     layer.config.parallax = parallaxCheck.checked;
+    updateVisibility();
   });
+  for (const key of DEPTH_KEYS) {
+    const el = card.querySelector(`.depth-${key}-input`);
+    el.value = layer.config.depth[key];
+    el.addEventListener("input", () => {
+      layer.config.depth[key] = el.value === "" ? "" : Number(el.value);
+    });
+  }
 
   // Random interval
   randomCheck.addEventListener("change", () => {
@@ -245,7 +437,6 @@ function wireLayerConfig(card, layer, listEl) {
   });
 
   // Show first frame during interval
-  const showFirstFrameCheck = card.querySelector(".show-first-frame-check");
   showFirstFrameCheck.addEventListener("change", () => {
     layer.config.showFirstFrame = showFirstFrameCheck.checked;
   });
@@ -260,10 +451,13 @@ function wireLayerConfig(card, layer, listEl) {
   ];
   for (const ni of numInputs) {
     const el = card.querySelector(ni.sel);
+    el.value = layer.config[ni.key];
     el.addEventListener("input", () => {
       layer.config[ni.key] = parseInt(el.value, 10) || 0;
     });
   }
+
+  updateVisibility();
 }
 
 function renumberLayers(kind) {
@@ -325,6 +519,8 @@ function renderFileList(el, files, renameTo, onRemove) {
  */
 function renderLayerFileList(el, layer) {
   el.innerHTML = "";
+  renderExistingLayer(el.closest(".layer-card"), layer);
+  PREVIEW.invalidate();
   const files = layer.files;
   if (files.length === 0) return;
 
@@ -344,7 +540,7 @@ function renderLayerFileList(el, layer) {
       const extra = document.createElement("span");
       extra.className = "file-tag";
       extra.style.color = "var(--warning)";
-      extra.textContent = `+${files.length - 1} extra (only first used for static)`;
+      extra.textContent = `+${files.length - 1} extra — a static layer takes one file (the upload is refused)`;
       el.appendChild(extra);
     }
   } else {
@@ -427,7 +623,26 @@ function wireDropzone(dz, input, onFiles) {
 
 function updateUploadBtn() {
   const btn = document.getElementById("uploadBtn");
-  btn.disabled = !state.backgroundFile;
+  // Editing keeps the current background when no new one is dropped
+  btn.disabled = !state.backgroundFile && !state.editing;
+}
+
+/** Clear background, layers and classification back to a blank new level. */
+function resetForm() {
+  state.backgroundFile = null;
+  state.overlays = [];
+  state.underlays = [];
+  state.category = "common";
+  state.rarity = 1;
+  state.screens = 1;
+  state.editing = null;
+  document.getElementById("bgFiles").innerHTML = "";
+  document.getElementById("overlayLayers").innerHTML = "";
+  document.getElementById("underlayLayers").innerHTML = "";
+  document.getElementById("categorySelect").value = "common";
+  document.getElementById("rarityInput").value = "1";
+  document.getElementById("screensInput").value = "1";
+  renderExistingBackground();
 }
 
 async function uploadLevel() {
@@ -445,6 +660,7 @@ async function uploadLevel() {
     const config = {
       category: state.category,
       rarity: state.rarity,
+      screens: state.screens,
       underlays: state.underlays.map((l) => l.config),
       overlays: state.overlays.map((l) => l.config),
     };
@@ -453,8 +669,8 @@ async function uploadLevel() {
     const fd = new FormData();
     fd.append("config", JSON.stringify(config));
 
-    // Background
-    fd.append("background", state.backgroundFile);
+    // Background (optional when editing — the current one is kept)
+    if (state.backgroundFile) fd.append("background", state.backgroundFile);
 
     // Underlays
     for (let i = 0; i < state.underlays.length; i++) {
@@ -483,22 +699,12 @@ async function uploadLevel() {
       throw new Error(data.error || "Upload failed");
     }
 
-    setStatus(`Level ${data.levelId} uploaded successfully!`, "success");
-
-    // Reset state
-    state.backgroundFile = null;
-    state.overlays = [];
-    state.underlays = [];
-    state.category = "common";
-    state.rarity = 1;
-    document.getElementById("bgFiles").innerHTML = "";
-    document.getElementById("overlayLayers").innerHTML = "";
-    document.getElementById("underlayLayers").innerHTML = "";
-    document.getElementById("categorySelect").value = "common";
-    document.getElementById("rarityInput").value = "1";
-
-    // Refresh level list
+    // Refresh level list; an edited level is reloaded from disk
     await fetchLevels();
+    document.getElementById("levelTarget").value = isOverwrite ? data.levelId : "__new__";
+    await onTargetChange();
+
+    setStatus(`Level ${data.levelId} uploaded successfully!`, "success");
   } catch (err) {
     setStatus("Upload failed: " + err.message, "error");
   } finally {
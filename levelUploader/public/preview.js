@@ -0,0 +1,315 @@
+// ---------------------------------------------------------------------------
+// Live level preview
+//
+// Plays the level as configured in the form — background, underlays, a
+// stand-in hero and overlays. Layer playback comes from the game's own
+// engine (src/layerEngine.js, served at /game-src), so the preview follows
+// the same rules as the game: loop / once / intermittent, pingpong, startMs,
+// random intervals and showFirstFrame.
+//
+// A level several screens wide is shown through a camera on the hero, as in
+// the game; "Hero x" then runs over the whole level.
+//
+// The scrubber sets "level time" (seconds since the hero entered the level).
+// Seeking replays the layers from 0 with fixed-seed random intervals, so the
+// same time always shows the same frame.
+//
+// app.js (a classic script) hands over the form in init(): its state object
+// and the helpers for ordering dropped frames and locating files on disk.
+// ---------------------------------------------------------------------------
+
+import {
+  DEFAULT_LAYER_FPS,
+  normalizeLayerSpec,
+  normalizeParallax,
+  parallaxRect,
+  createPlayState,
+  stepLayer,
+} from "/game-src/layerEngine.js";
+import { mulberry32 } from "/game-src/rng.js";
+
+// Mirrors src/main.js
+const W = 1280;
+const H = 720;
+const FLOOR_Y = 600;
+const SPRITE_SCALE = 0.34;
+
+const SIM_DT = 1 / 60; // fixed step used when seeking
+const MAX_TIME_MS = 60000;
+
+// { state, sortFilesByIndex, existingFileUrl } from app.js (see init)
+let form = null;
+
+let canvas = null;
+let ctx = null;
+let timeInput = null;
+let timeLabel = null;
+let playBtn = null;
+
+let background = null; // Image | null
+let bgParallax = null;  // depth factors | null (levels.json "backgroundParallax")
+let underlays = [];    // [layer]
+let overlays = [];     // [layer]
+let heroImg = null;
+let heroX = Math.round(W / 2); // world x
+let worldW = W;                // level width (state.screens × W)
+let heroInput = null;
+
+let levelTime = 0;     // seconds
+let playing = true;
+let lastT = 0;
+let rebuildTimer = 0;
+
+// Image cache: url -> Image. Object URLs are created per File and revoked
+// once a rebuild no longer uses them.
+const images = new Map();
+const fileUrls = new Map();
+
+function init({ state, sortFilesByIndex, existingFileUrl }) {
+  form = { state, sortFilesByIndex, existingFileUrl };
+  canvas = document.getElementById("previewCanvas");
+  if (!canvas) return;
+  ctx = canvas.getContext("2d");
+  timeInput = document.getElementById("previewTime");
+  timeLabel = document.getElementById("previewTimeLabel");
+  playBtn = document.getElementById("previewPlay");
+  heroInput = document.getElementById("previewHeroX");
+
+  timeInput.max = String(MAX_TIME_MS);
+  timeInput.addEventListener("input", () => seek(Number(timeInput.value) / 1000));
+
+  playBtn.addEventListener("click", () => {
+    playing = !playing;
+    playBtn.textContent = playing ? "Pause" : "Play";
+  });
+
+  heroInput.max = String(W);
+  heroInput.value = String(heroX);
+  heroInput.addEventListener("input", () => { heroX = Number(heroInput.value); });
+
+  heroImg = imageFor("/assets/sprites/hero_idle/frame_01.png");
+
+  rebuild();
+  requestAnimationFrame(frame);
+}
+
+// ---------- Layer playback ----------
+
+function stepAll(dt, lt) {
+  for (const layer of [...underlays, ...overlays]) {
+    if (!layer.images.length) continue;
+    layer.current = stepLayer(layer.spec, layer.playState, dt, lt);
+  }
+}
+
+// Seeded per layer, so seeking always reproduces the same random intervals
+function resetLayers() {
+  for (const layer of [...underlays, ...overlays]) {
+    layer.playState = createPlayState(mulberry32(layer.seed));
+    layer.current = { frameIndex: 0, visible: false };
+  }
+}
+
+// Replay from level time 0 to t with a fixed step.
+function seek(t) {
+  levelTime = Math.max(0, Math.min(MAX_TIME_MS / 1000, t));
+  resetLayers();
+  let sim = 0;
+  while (sim + SIM_DT <= levelTime) {
+    sim += SIM_DT;
+    stepAll(SIM_DT, sim);
+  }
+  if (levelTime > sim) stepAll(levelTime - sim, levelTime);
+  updateTimeUI();
+}
+
+// ---------- Drawing ----------
+
+function ready(img) {
+  return img && img.complete && img.naturalWidth > 0;
+}
+
+function heroSize() {
+  if (ready(heroImg)) {
+    return {
+      w: Math.round(heroImg.naturalWidth * SPRITE_SCALE),
+      h: Math.round(heroImg.naturalHeight * SPRITE_SCALE),
+    };
+  }
+  return { w: 26, h: 56 };
+}
+
+// The game places the hero by its left edge; the preview's heroX is its center
+function drawZoomPanFollow(img, parallax) {
+  const { w } = heroSize();
+  const r = parallaxRect(parallax, heroX - w / 2, w, worldW, H);
+  ctx.drawImage(img, r.x, r.y, r.w, r.h);
+}
+
+function drawLayer(layer) {
+  if (!layer.current?.visible) return;
+  const img = layer.images[layer.current.frameIndex];
+  if (!ready(img)) return;
+  if (layer.spec.parallax) drawZoomPanFollow(img, layer.spec.parallax);
+  else ctx.drawImage(img, 0, 0, worldW, H);
+}
+
+function drawHero() {
+  const { w, h } = heroSize();
+  const x = Math.round(Math.max(0, Math.min(worldW - w, heroX - w / 2)));
+  const y = FLOOR_Y - h;
+  if (ready(heroImg)) {
+    ctx.drawImage(heroImg, x, y, w, h);
+  } else {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(x, y, w, h);
+  }
+  // Floor line (never drawn in game) as a guide
+  ctx.strokeStyle = "rgba(91, 106, 255, 0.5)";
+  ctx.setLineDash([8, 8]);
+  ctx.beginPath();
+  ctx.moveTo(0, FLOOR_Y + 0.5);
+  ctx.lineTo(worldW, FLOOR_Y + 0.5);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+function draw() {
+  ctx.clearRect(0, 0, W, H);
+  // Camera centred on the hero, within the level (see src/main.js cameraXFor)
+  const cameraX = Math.round(Math.max(0, Math.min(worldW - W, heroX - W / 2)));
+  ctx.save();
+  ctx.translate(-cameraX, 0);
+  if (ready(background) && bgParallax) {
+    drawZoomPanFollow(background, bgParallax);
+  } else if (ready(background)) {
+    ctx.drawImage(background, 0, 0, worldW, H);
+  } else {
+    ctx.fillStyle = "#242836";
+    ctx.fillRect(0, 0, worldW, H);
+  }
+  underlays.forEach(drawLayer);
+  drawHero();
+  overlays.forEach(drawLayer);
+  ctx.restore();
+}
+
+function updateTimeUI() {
+  timeInput.value = String(Math.round(levelTime * 1000));
+  timeLabel.textContent = `${levelTime.toFixed(2)} s`;
+}
+
+function frame(t) {
+  const dt = Math.min(0.033, (t - (lastT || t)) / 1000);
+  lastT = t;
+
+  if (playing) {
+    levelTime += dt;
+    if (levelTime * 1000 >= MAX_TIME_MS) {
+      seek(0);
+    } else {
+      stepAll(dt, levelTime);
+      updateTimeUI();
+    }
+  }
+
+  draw();
+  requestAnimationFrame(frame);
+}
+
+// ---------- Sources (form state -> images) ----------
+
+function imageFor(url) {
+  let img = images.get(url);
+  if (!img) {
+    img = new Image();
+    img.src = url;
+    images.set(url, img);
+  }
+  return img;
+}
+
+function fileUrl(file, used) {
+  let url = fileUrls.get(file);
+  if (!url) {
+    url = URL.createObjectURL(file);
+    fileUrls.set(file, url);
+  }
+  used.add(file);
+  return url;
+}
+
+// Image URLs for one form layer: dropped files win, else files on disk.
+function layerUrls(layer, used) {
+  const isStatic = layer.config.type === "static";
+  if (layer.files.length > 0) {
+    const files = isStatic ? [layer.files[0]] : form.sortFilesByIndex(layer.files);
+    return files.map((f) => fileUrl(f, used));
+  }
+  const existing = layer.existing;
+  if (!existing || existing.type !== layer.config.type || !existing.files.length) return [];
+  const files = isStatic ? [existing.files[0]] : existing.files;
+  return files.map(form.existingFileUrl);
+}
+
+// Form layer configs use the levels.json field names (the parallax depth
+// factors sit in config.depth), so they normalize the same way the game's
+// loader does.
+function buildLayers(kind, formLayers, used) {
+  return formLayers.map((l, i) => {
+    const images = layerUrls(l, used).map(imageFor);
+    const c = {
+      ...l.config,
+      fps: Number(l.config.fps) || DEFAULT_LAYER_FPS,
+      parallax: l.config.parallax && { ...l.config.depth },
+    };
+    return {
+      spec: normalizeLayerSpec(c, images.length),
+      images,
+      seed: (kind === "overlay" ? 1000 : 0) + i + 1,
+    };
+  });
+}
+
+function rebuild() {
+  rebuildTimer = 0;
+  if (!canvas) return;
+  const { state, existingFileUrl } = form;
+  const used = new Set();
+
+  if (state.backgroundFile) {
+    background = imageFor(fileUrl(state.backgroundFile, used));
+  } else if (state.editing && state.editing.files.includes("background.png")) {
+    background = imageFor(existingFileUrl("background.png"));
+  } else {
+    background = null;
+  }
+
+  bgParallax = normalizeParallax(state.editing?.level.backgroundParallax);
+  underlays = buildLayers("underlay", state.underlays, used);
+  overlays = buildLayers("overlay", state.overlays, used);
+
+  worldW = Math.round(W * (state.screens || 1));
+  heroX = Math.min(heroX, worldW);
+  heroInput.max = String(worldW);
+  heroInput.value = String(heroX);
+
+  // Drop object URLs (and their images) no longer part of the form
+  for (const [file, url] of fileUrls) {
+    if (used.has(file)) continue;
+    URL.revokeObjectURL(url);
+    fileUrls.delete(file);
+    images.delete(url);
+  }
+
+  seek(levelTime);
+}
+
+// Called by app.js whenever the form changes; coalesces bursts of changes.
+function invalidate() {
+  if (rebuildTimer) clearTimeout(rebuildTimer);
+  rebuildTimer = setTimeout(rebuild, 150);
+}
+
+// app.js is a classic script; hand it the entry points
+window.PREVIEW = { init, invalidate };
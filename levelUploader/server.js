@@ -2,6 +2,10 @@ const express = require("express");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
+const { readImageInfo } = require("./imageInfo");
+const { validateLevelEntry } = require("./validate");
+const { readIcyTitle } = require("./icy");
+const { createLevelStore, writeFileAtomic, rmDir } = require("./levelStore");
 
 const app = express();
 const PORT = 3000;
@@ -10,11 +14,56 @@ const PORT = 3000;
 const PROJECT_ROOT = path.resolve(__dirname, "..");
 const LEVELS_DIR = path.join(PROJECT_ROOT, "assets", "levels");
 const LEVELS_JSON = path.join(PROJECT_ROOT, "data", "levels.json");
+const CAROUSEL_JSON = path.join(PROJECT_ROOT, "data", "carousel.json");
+const RADIO_JSON = path.join(PROJECT_ROOT, "data", "radio.json");
+
+// Journaled level folder + levels.json / carousel.json changes (see levelStore.js)
+const { commitLevelChange, commitDataChange, recoverInterruptedChanges } = createLevelStore({
+  levelsDir: LEVELS_DIR,
+  levelsJson: LEVELS_JSON,
+  carouselJson: CAROUSEL_JSON,
+});
 
-// Multer stores uploads in a temp dir; we move them manually
-const upload = multer({ dest: path.join(__dirname, "tmp") });
+// Asset rules. The game draws every layer scaled to its 1280×720 canvas, so a
+// screen's worth of image must be exactly that size — or 1920×1080, the size
+// the existing artwork is painted at (drawn 1.5× down, like any other layer).
+// A level "screens" wide takes images that many screens wide (3840×720, ...).
+const SCREEN_SIZES = [
+  { width: 1280, height: 720 },  // the game's canvas
+  { width: 1920, height: 1080 }, // the artwork in assets/levels
+];
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_LEVEL_BYTES = 200 * 1024 * 1024;
+const MAX_FILES = 2000; // per upload; the largest level has ~1200 frames
+
+// Multer stores uploads in a temp dir; we move them manually. The limits stop
+// an oversized upload while it is received, before it fills the disk.
+const upload = multer({
+  dest: path.join(__dirname, "tmp"),
+  limits: { fileSize: MAX_FILE_BYTES, files: MAX_FILES },
+});
+
+/** upload.any(), with multer's limit errors answered as JSON like the routes' own. */
+function receiveUploads(req, res, next) {
+  upload.any()(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: `A file for ${fieldLabel(err.field)} is too large — max is ${formatMb(MAX_FILE_BYTES)} per file.`,
+      });
+    }
+    if (err.code === "LIMIT_FILE_COUNT") {
+      return res.status(413).json({ error: `Too many files — max is ${MAX_FILES} per upload.` });
+    }
+    res.status(err instanceof multer.MulterError ? 400 : 500).json({ error: err.message });
+  });
+}
 
 app.use(express.static(path.join(__dirname, "public")));
+// Game assets, for thumbnails of existing levels in the editor
+app.use("/assets", express.static(path.join(PROJECT_ROOT, "assets")));
+// Game modules shared with the preview (layer playback engine)
+app.use("/game-src", express.static(path.join(PROJECT_ROOT, "src")));
 app.use(express.json());
 
 // ---------------------------------------------------------------------------
@@ -27,7 +76,43 @@ function readLevelsJson() {
 }
 
 function writeLevelsJson(data) {
-  fs.writeFileSync(LEVELS_JSON, JSON.stringify(data, null, 2) + "\n", "utf-8");
+  writeFileAtomic(LEVELS_JSON, JSON.stringify(data, null, 2) + "\n");
+}
+
+function readCarouselJson() {
+  if (!fs.existsSync(CAROUSEL_JSON)) return { excludedLevels: [] };
+  const data = JSON.parse(fs.readFileSync(CAROUSEL_JSON, "utf-8"));
+  if (!Array.isArray(data.excludedLevels)) data.excludedLevels = [];
+  return data;
+}
+
+/** Level IDs become folder names — only allow plain names (no path traversal). */
+function isValidLevelId(id) {
+  return typeof id === "string" && /^[A-Za-z0-9_-]+$/.test(id);
+}
+
+/**
+ * Look up a gameplay level by ID. HOME is managed by hand and never returned.
+ * Returns { data, index, level } or null.
+ */
+function findGameplayLevel(id) {
+  if (!isValidLevelId(id)) return null;
+  const data = readLevelsJson();
+  const index = data.levels.findIndex((l) => l.id === id && !l.isHome);
+  if (index === -1) return null;
+  return { data, index, level: data.levels[index] };
+}
+
+/** List all files under dir as sorted relative paths ("underlay01/frame_01.png"). */
+function listFilesRecursive(dir, prefix = "") {
+  if (!fs.existsSync(dir)) return [];
+  const out = [];
+  for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${e.name}` : e.name;
+    if (e.isDirectory()) out.push(...listFilesRecursive(path.join(dir, e.name), rel));
+    else out.push(rel);
+  }
+  return out.sort();
 }
 
 /** Return the next available 3-digit level ID (e.g. "004"). */
@@ -87,13 +172,208 @@ function sortAndRenameFrames(files, destDir) {
   return withIndex.length;
 }
 
-/** Remove a directory recursively. */
-function rmDir(dir) {
-  if (fs.existsSync(dir)) {
-    fs.rmSync(dir, { recursive: true, force: true });
+/** Error carrying an HTTP status, thrown from helpers and answered by the route. */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Count frame_NN.png files in a layer folder. */
+function countFrames(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir).filter((n) => /^frame_\d+\.png$/.test(n)).length;
+}
+
+// Layer fields written by the uploader. Anything else on an existing layer
+// (hand-added in levels.json) is carried over when the layer is edited.
+const MANAGED_LAYER_KEYS = [
+  "folder", "type", "rendering", "animation", "fps", "count", "parallax", "startMs",
+  "intervalMs", "randomInterval", "minIntervalMs", "maxIntervalMs", "repeatCount", "showFirstFrame",
+];
+
+/**
+ * levels.json "parallax" from a layer card: true when every depth factor is
+ * left at the game's default, else an object with the ones that were set.
+ */
+function buildParallax(cfg) {
+  if (!cfg.parallax) return null;
+  const depth = {};
+  for (const key of ["zoom", "follow", "offsetY", "maxPan"]) {
+    const v = cfg.depth?.[key];
+    if (v !== undefined && v !== null && v !== "" && Number.isFinite(Number(v))) depth[key] = Number(v);
+  }
+  return Object.keys(depth).length ? depth : true;
+}
+
+/** Build the levels.json entry for one layer from its uploader config. */
+function buildLayerEntry(kind, cfg, folderName, count) {
+  const parallax = buildParallax(cfg);
+
+  if (cfg.type === "static") {
+    const entry = { folder: folderName, type: "static" };
+    if (parallax) entry.parallax = parallax;
+    if (cfg.rendering && cfg.rendering !== "loop") entry.rendering = cfg.rendering;
+    if (cfg.startMs) entry.startMs = Number(cfg.startMs);
+    return entry;
+  }
+
+  const entry = {
+    folder: folderName,
+    type: "frames",
+    rendering: cfg.rendering || "loop",
+    animation: cfg.animation || "loop",
+    fps: Number(cfg.fps) || 12,
+    count,
+  };
+  if (parallax) entry.parallax = parallax;
+  if (cfg.startMs) entry.startMs = Number(cfg.startMs);
+  if (cfg.intervalMs) entry.intervalMs = Number(cfg.intervalMs);
+  if (cfg.randomInterval) {
+    entry.randomInterval = true;
+    if (cfg.minIntervalMs) entry.minIntervalMs = Number(cfg.minIntervalMs);
+    if (cfg.maxIntervalMs) entry.maxIntervalMs = Number(cfg.maxIntervalMs);
+  }
+  if (cfg.repeatCount !== undefined && Number(cfg.repeatCount) !== -1) {
+    entry.repeatCount = Number(cfg.repeatCount);
+  }
+  if (cfg.showFirstFrame) entry.showFirstFrame = true;
+  return entry;
+}
+
+/**
+ * Write one layer set (underlays or overlays) into stagingDir and return its
+ * levels.json entries. Layers are renumbered in order (underlay01, underlay02, ...).
+ *
+ * A layer with uploaded files uses them. A layer without files but with an
+ * `existingFolder` reuses that folder's files from oldLevelDir.
+ */
+function stageLayerSet(kind, configs, files, stagingDir, oldLevelDir, oldSpecs) {
+  const entries = [];
+
+  for (let i = 0; i < configs.length; i++) {
+    const cfg = configs[i];
+    const num = String(i + 1).padStart(2, "0");
+    const label = `${kind === "overlay" ? "Overlay" : "Underlay"} ${num}`;
+    const folderName = `${kind}${num}`;
+    const folderPath = path.join(stagingDir, folderName);
+    const layerFiles = files.filter((f) => f.fieldname === `${kind}_${i}`);
+    const oldSpec = cfg.existingFolder
+      ? oldSpecs.find((s) => s.folder === cfg.existingFolder) || null
+      : null;
+
+    if (cfg.existingFolder && !oldSpec && layerFiles.length === 0) {
+      throw httpError(400, `${label}: existing folder "${cfg.existingFolder}" not found.`);
+    }
+    if (cfg.type === "static" && layerFiles.length > 1) {
+      throw httpError(400, `${label} is static but got ${layerFiles.length} files — drop exactly one.`);
+    }
+
+    let count = 0;
+    if (layerFiles.length > 0) {
+      if (cfg.type === "static") {
+        fs.mkdirSync(folderPath, { recursive: true });
+        fs.renameSync(layerFiles[0].path, path.join(folderPath, `${kind}.png`));
+      } else {
+        count = sortAndRenameFrames(layerFiles, folderPath);
+      }
+    } else if (oldSpec) {
+      const oldType = String(oldSpec.type || "frames").toLowerCase();
+      if (oldType !== cfg.type) {
+        throw httpError(400, `${label}: type changed to "${cfg.type}" — drop new files for it.`);
+      }
+      fs.cpSync(path.join(oldLevelDir, oldSpec.folder), folderPath, { recursive: true });
+      if (cfg.type !== "static") count = countFrames(folderPath);
+    } else {
+      throw httpError(400, `${label} has no files.`);
+    }
+
+    const extras = {};
+    for (const [key, value] of Object.entries(oldSpec || {})) {
+      if (!MANAGED_LAYER_KEYS.includes(key)) extras[key] = value;
+    }
+    entries.push({ ...buildLayerEntry(kind, cfg, folderName, count), ...extras });
+  }
+
+  return entries;
+}
+
+/**
+ * Copy what the uploader doesn't manage (e.g. a cutscene's frames and sounds)
+ * from the old level folder into stagingDir: everything except background.png
+ * and the old layer folders, and never over something already staged.
+ */
+function carryOverUnmanagedFiles(oldLevelDir, stagingDir, oldEntry) {
+  if (!oldEntry || !fs.existsSync(oldLevelDir)) return;
+  const managed = new Set(["background.png"]);
+  for (const spec of [...(oldEntry.underlays || []), ...(oldEntry.overlays || [])]) {
+    if (spec?.folder) managed.add(spec.folder);
+  }
+  for (const name of fs.readdirSync(oldLevelDir)) {
+    if (managed.has(name) || fs.existsSync(path.join(stagingDir, name))) continue;
+    fs.cpSync(path.join(oldLevelDir, name), path.join(stagingDir, name), { recursive: true });
   }
 }
 
+function formatMb(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** Human label for an upload field: "background", "Underlay 01", ... */
+function fieldLabel(fieldname) {
+  const m = fieldname.match(/^(underlay|overlay)_(\d+)$/);
+  if (!m) return fieldname;
+  const kind = m[1] === "overlay" ? "Overlay" : "Underlay";
+  return `${kind} ${String(Number(m[2]) + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Check every uploaded file before anything is written: PNG, one of
+ * SCREEN_SIZES per screen, and one size per frame sequence (multer has already
+ * enforced MAX_FILE_BYTES). Throws a 400 naming the offending file.
+ */
+function validateUploadedImages(files, screens = 1) {
+  const sizeByField = new Map(); // fieldname -> { w, h, name } of first frame
+
+  for (const f of files) {
+    const where = `"${f.originalname}" (${fieldLabel(f.fieldname)})`;
+
+    const info = readImageInfo(f.path);
+    if (!info) throw httpError(400, `${where} is not an image.`);
+    if (info.format !== "png") {
+      throw httpError(400, `${where} is ${info.format.toUpperCase()} — only PNG is accepted.`);
+    }
+
+    const { width: w, height: h } = info;
+    const sizes = SCREEN_SIZES.map((s) => ({ width: Math.round(s.width * screens), height: s.height }));
+    if (!sizes.some((s) => s.width === w && s.height === h)) {
+      const allowed = sizes.map((s) => `${s.width}×${s.height}`).join(" or ");
+      const wide = screens === 1 ? "" : ` (the level is ${screens} screens wide)`;
+      throw httpError(400, `${where} is ${w}×${h} — must be ${allowed}${wide}.`);
+    }
+
+    const first = sizeByField.get(f.fieldname);
+    if (!first) {
+      sizeByField.set(f.fieldname, { w, h, name: f.originalname });
+    } else if (first.w !== w || first.h !== h) {
+      throw httpError(
+        400,
+        `${where} is ${w}×${h} but "${first.name}" in the same sequence is ${first.w}×${first.h}.`
+      );
+    }
+  }
+}
+
+/** Total size in bytes of all files under dir. */
+function dirSize(dir) {
+  let total = 0;
+  for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, e.name);
+    total += e.isDirectory() ? dirSize(p) : fs.statSync(p).size;
+  }
+  return total;
+}
+
 /** Clean up leftover temp files (e.g. on error). */
 function cleanupFiles(files) {
   if (!files) return;
@@ -113,24 +393,163 @@ app.get("/api/levels", (_req, res) => {
   try {
     const data = readLevelsJson();
     const nextId = getNextLevelId();
+    const { excludedLevels } = readCarouselJson();
     // Only return gameplay levels (not HOME)
     const gameplay = data.levels.filter((l) => !l.isHome);
-    res.json({ levels: gameplay, nextId });
+    res.json({ levels: gameplay, nextId, excludedLevels });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/upload/:id? — upload/overwrite a level
+// PUT /api/levels/order — reorder gameplay levels
+// Body: { order: ["003", "001", ...] } — must list every gameplay level exactly once.
+// HOME keeps its position; gameplay entries fill the remaining slots in the given order.
+app.put("/api/levels/order", (req, res) => {
+  try {
+    const order = req.body?.order;
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ error: "Body must be { order: [ids] }." });
+    }
+
+    const data = readLevelsJson();
+    const gameplay = data.levels.filter((l) => !l.isHome);
+    const byId = new Map(gameplay.map((l) => [l.id, l]));
+
+    if (new Set(order).size !== order.length) {
+      return res.status(400).json({ error: "Order contains duplicate IDs." });
+    }
+    const unknown = order.filter((id) => !byId.has(id));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown level ID(s): ${unknown.join(", ")}` });
+    }
+    const missing = gameplay.filter((l) => !order.includes(l.id)).map((l) => l.id);
+    if (missing.length) {
+      return res.status(400).json({ error: `Order is missing level ID(s): ${missing.join(", ")}` });
+    }
+
+    let next = 0;
+    data.levels = data.levels.map((l) => (l.isHome ? l : byId.get(order[next++])));
+    writeLevelsJson(data);
+
+    res.json({ success: true, order });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/levels/:id — full entry + files on disk
+app.get("/api/levels/:id", (req, res) => {
+  try {
+    const found = findGameplayLevel(req.params.id);
+    if (!found) return res.status(404).json({ error: `Level ${req.params.id} not found.` });
+
+    const { excludedLevels } = readCarouselJson();
+    const files = listFilesRecursive(path.join(LEVELS_DIR, found.level.id));
+    res.json({
+      level: found.level,
+      excluded: excludedLevels.includes(found.level.id),
+      files,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/levels/:id — metadata only (name, category, rarity, excluded)
+app.patch("/api/levels/:id", (req, res) => {
+  try {
+    const found = findGameplayLevel(req.params.id);
+    if (!found) return res.status(404).json({ error: `Level ${req.params.id} not found.` });
+
+    const body = req.body || {};
+    const { data, index, level } = found;
+
+    if (body.name !== undefined) {
+      const name = String(body.name).trim();
+      if (!name) return res.status(400).json({ error: "Name cannot be empty." });
+      level.name = name;
+    }
+    if (body.category !== undefined) {
+      if (body.category !== "common" && body.category !== "special") {
+        return res.status(400).json({ error: 'Category must be "common" or "special".' });
+      }
+      level.category = body.category;
+    }
+    if (body.rarity !== undefined) {
+      const rarity = Number(body.rarity);
+      if (!Number.isInteger(rarity) || rarity < 1 || rarity > 10) {
+        return res.status(400).json({ error: "Rarity must be an integer from 1 to 10." });
+      }
+      level.rarity = rarity;
+    }
+    if (body.excluded !== undefined && typeof body.excluded !== "boolean") {
+      return res.status(400).json({ error: "Excluded must be true or false." });
+    }
+
+    data.levels[index] = level;
+    const carousel = readCarouselJson();
+    const excluded = body.excluded ?? carousel.excludedLevels.includes(level.id);
+    if (body.excluded !== undefined) {
+      const others = carousel.excludedLevels.filter((id) => id !== level.id);
+      carousel.excludedLevels = excluded ? [...others, level.id] : others;
+    }
+    // Both files change together (rolled back on failure)
+    commitDataChange(level.id, data, body.excluded !== undefined ? carousel : null);
+
+    res.json({ success: true, level, excluded });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/levels/:id — remove folder, levels.json entry and its carousel.json mentions
+app.delete("/api/levels/:id", (req, res) => {
+  try {
+    const found = findGameplayLevel(req.params.id);
+    if (!found) return res.status(404).json({ error: `Level ${req.params.id} not found.` });
+
+    const { data, index, level } = found;
+    data.levels.splice(index, 1);
+
+    // carousel.json mentions go in the same journaled commit as the folder
+    let carousel = readCarouselJson();
+    const order = Array.isArray(carousel.order) ? carousel.order : [];
+    if (carousel.excludedLevels.includes(level.id) || order.includes(level.id)) {
+      carousel.excludedLevels = carousel.excludedLevels.filter((id) => id !== level.id);
+      if (order.includes(level.id)) carousel.order = order.filter((id) => id !== level.id);
+    } else {
+      carousel = null;
+    }
+    commitLevelChange(level.id, null, data, carousel);
+
+    res.json({ success: true, levelId: level.id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/upload/:id? — upload a new level, or edit/overwrite an existing one
 // We accept a dynamic field set via multer.any()
-app.post("/api/upload/:id?", upload.any(), (req, res) => {
+//
+// When editing, the background and any layer sent without files (but with an
+// `existingFolder`) are kept from disk, so only changed files need uploading.
+//
+// The level is built in a staging folder and swapped in by commitLevelChange,
+// so a failure at any point leaves the previous level and levels.json intact.
+app.post("/api/upload/:id?", receiveUploads, (req, res) => {
   let levelId = null;
+  let stagingDir = null;
   try {
     const files = req.files || [];
     const config = JSON.parse(req.body.config || "{}");
 
     // Determine level ID
     const overwriteId = req.params.id;
+    if (overwriteId && !isValidLevelId(overwriteId)) {
+      cleanupFiles({ files });
+      return res.status(400).json({ error: `Invalid level ID: ${overwriteId}` });
+    }
     if (overwriteId) {
       levelId = overwriteId;
     } else {
@@ -138,139 +557,66 @@ app.post("/api/upload/:id?", upload.any(), (req, res) => {
     }
 
     const levelDir = path.join(LEVELS_DIR, levelId);
-
-    // If overwriting, remove existing folder
-    if (overwriteId) {
-      rmDir(levelDir);
+    const levelsData = readLevelsJson();
+    if (overwriteId && levelsData.levels.some((l) => l.id === overwriteId && l.isHome)) {
+      throw httpError(400, "HOME is not managed by the uploader.");
     }
+    const oldEntry = overwriteId
+      ? levelsData.levels.find((l) => l.id === overwriteId && !l.isHome) || null
+      : null;
 
-    fs.mkdirSync(levelDir, { recursive: true });
+    const screens = Math.max(1, Number(config.screens) || 1);
+    validateUploadedImages(files, screens);
+
+    // Build the new level in a staging folder; the old folder stays untouched
+    // until commit (kept layers are copied from it).
+    stagingDir = path.join(LEVELS_DIR, `.staging-${levelId}-${Date.now()}`);
+    fs.mkdirSync(stagingDir, { recursive: true });
 
     // ---- Background ----
     const bgFile = files.find((f) => f.fieldname === "background");
-    if (!bgFile) {
-      cleanupFiles({ files });
-      return res.status(400).json({ error: "Background image is required." });
-    }
-    fs.renameSync(bgFile.path, path.join(levelDir, "background.png"));
-
-    // ---- Underlays ----
-    const underlayConfigs = config.underlays || [];
-    const underlaysJson = [];
-
-    for (let i = 0; i < underlayConfigs.length; i++) {
-      const uc = underlayConfigs[i];
-      const folderName = `underlay${String(i + 1).padStart(2, "0")}`;
-      const folderPath = path.join(levelDir, folderName);
-      const layerFiles = files.filter(
-        (f) => f.fieldname === `underlay_${i}`
-      );
-
-      if (uc.type === "static") {
-        fs.mkdirSync(folderPath, { recursive: true });
-        if (layerFiles.length > 0) {
-          fs.renameSync(
-            layerFiles[0].path,
-            path.join(folderPath, "underlay.png")
-          );
-        }
-        const entry = { folder: folderName, type: "static" };
-        if (uc.rendering && uc.rendering !== "loop")
-          entry.rendering = uc.rendering;
-        if (uc.startMs) entry.startMs = Number(uc.startMs);
-        underlaysJson.push(entry);
-      } else {
-        // frames
-        const count = sortAndRenameFrames(layerFiles, folderPath);
-        const entry = {
-          folder: folderName,
-          type: "frames",
-          rendering: uc.rendering || "loop",
-          animation: uc.animation || "loop",
-          fps: Number(uc.fps) || 12,
-          count,
-        };
-        if (uc.startMs) entry.startMs = Number(uc.startMs);
-        if (uc.intervalMs) entry.intervalMs = Number(uc.intervalMs);
-        if (uc.randomInterval) {
-          entry.randomInterval = true;
-          if (uc.minIntervalMs) entry.minIntervalMs = Number(uc.minIntervalMs);
-          if (uc.maxIntervalMs) entry.maxIntervalMs = Number(uc.maxIntervalMs);
-        }
-        if (uc.repeatCount !== undefined && Number(uc.repeatCount) !== -1) {
-          entry.repeatCount = Number(uc.repeatCount);
-        }
-        if (uc.showFirstFrame) entry.showFirstFrame = true;
-        underlaysJson.push(entry);
-      }
+    const oldBg = path.join(levelDir, "background.png");
+    if (bgFile) {
+      fs.renameSync(bgFile.path, path.join(stagingDir, "background.png"));
+    } else if (oldEntry && fs.existsSync(oldBg)) {
+      fs.copyFileSync(oldBg, path.join(stagingDir, "background.png"));
+    } else {
+      throw httpError(400, "Background image is required.");
     }
 
-    // ---- Overlays ----
-    const overlayConfigs = config.overlays || [];
-    const overlaysJson = [];
-
-    for (let i = 0; i < overlayConfigs.length; i++) {
-      const oc = overlayConfigs[i];
-      const folderName = `overlay${String(i + 1).padStart(2, "0")}`;
-      const folderPath = path.join(levelDir, folderName);
-      const layerFiles = files.filter((f) => f.fieldname === `overlay_${i}`);
-
-      if (oc.type === "static") {
-        fs.mkdirSync(folderPath, { recursive: true });
-        if (layerFiles.length > 0) {
-          fs.renameSync(
-            layerFiles[0].path,
-            path.join(folderPath, "overlay.png")
-          );
-        }
-        const entry = { folder: folderName, type: "static" };
-        if (oc.parallax) entry.parallax = true;
-        if (oc.rendering && oc.rendering !== "loop")
-          entry.rendering = oc.rendering;
-        if (oc.startMs) entry.startMs = Number(oc.startMs);
-        overlaysJson.push(entry);
-      } else {
-        // frames
-        const count = sortAndRenameFrames(layerFiles, folderPath);
-        const entry = {
-          folder: folderName,
-          type: "frames",
-          rendering: oc.rendering || "loop",
-          animation: oc.animation || "loop",
-          fps: Number(oc.fps) || 12,
-          count,
-        };
-        if (oc.parallax) entry.parallax = true;
-        if (oc.startMs) entry.startMs = Number(oc.startMs);
-        if (oc.intervalMs) entry.intervalMs = Number(oc.intervalMs);
-        if (oc.randomInterval) {
-          entry.randomInterval = true;
-          if (oc.minIntervalMs) entry.minIntervalMs = Number(oc.minIntervalMs);
-          if (oc.maxIntervalMs) entry.maxIntervalMs = Number(oc.maxIntervalMs);
-        }
-        if (oc.repeatCount !== undefined && Number(oc.repeatCount) !== -1) {
-          entry.repeatCount = Number(oc.repeatCount);
-        }
-        if (oc.showFirstFrame) entry.showFirstFrame = true;
-        overlaysJson.push(entry);
-      }
+    // ---- Underlays / Overlays ----
+    const underlaysJson = stageLayerSet(
+      "underlay", config.underlays || [], files, stagingDir, levelDir, oldEntry?.underlays || []
+    );
+    const overlaysJson = stageLayerSet(
+      "overlay", config.overlays || [], files, stagingDir, levelDir, oldEntry?.overlays || []
+    );
+    carryOverUnmanagedFiles(levelDir, stagingDir, oldEntry);
+
+    // Kept layers count too — this is the size of the level as it will be on disk
+    const levelBytes = dirSize(stagingDir);
+    if (levelBytes > MAX_LEVEL_BYTES) {
+      throw httpError(400, `Level is ${formatMb(levelBytes)} — max is ${formatMb(MAX_LEVEL_BYTES)} per level.`);
     }
 
     // ---- Update levels.json ----
-    const levelsData = readLevelsJson();
-
+    // Keep fields the uploader doesn't manage (e.g. a renamed level's name).
+    const { underlays: _u, overlays: _o, ...oldFields } = oldEntry || {};
     const levelEntry = {
+      ...oldFields,
       id: levelId,
-      name: `Level ${levelId}`,
+      name: oldEntry?.name || `Level ${levelId}`,
       category: config.category || "common",
       rarity: Number(config.rarity) || 1,
     };
+    if (screens > 1) levelEntry.screens = screens;
+    else delete levelEntry.screens;
     if (underlaysJson.length > 0) levelEntry.underlays = underlaysJson;
     if (overlaysJson.length > 0) levelEntry.overlays = overlaysJson;
 
     if (overwriteId) {
       // Replace existing entry
-      const idx = levelsData.levels.findIndex((l) => l.id === overwriteId);
+      const idx = levelsData.levels.findIndex((l) => l.id === overwriteId && !l.isHome);
       if (idx !== -1) {
         levelsData.levels[idx] = levelEntry;
       } else {
@@ -280,7 +626,15 @@ app.post("/api/upload/:id?", upload.any(), (req, res) => {
       levelsData.levels.push(levelEntry);
     }
 
-    writeLevelsJson(levelsData);
+    // ---- Check the entry against the schema and the staged files ----
+    const report = validateLevelEntry(levelEntry, { root: PROJECT_ROOT, levelDir: stagingDir });
+    if (report.errors.length) {
+      throw httpError(400, `Level failed validation:\n${report.errors.join("\n")}`);
+    }
+
+    // ---- Swap the staged folder in + write levels.json (rolled back on failure) ----
+    commitLevelChange(levelId, stagingDir, levelsData);
+    stagingDir = null;
 
     // Cleanup any remaining temp files
     for (const f of files) {
@@ -290,12 +644,62 @@ app.post("/api/upload/:id?", upload.any(), (req, res) => {
     res.json({ success: true, levelId, levelEntry });
   } catch (err) {
     // Attempt cleanup on error
+    if (stagingDir) rmDir(stagingDir);
     if (req.files) {
       for (const f of req.files) {
         if (f.path && fs.existsSync(f.path)) fs.unlinkSync(f.path);
       }
     }
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Radio now-playing (ICY metadata proxy)
+// ---------------------------------------------------------------------------
+
+// Browsers can't read ICY metadata from a stream themselves, so the game asks
+// here (radio.json "icyProxy"). Only stream URLs listed in radio.json are
+// opened, and one answer per stream is shared for ICY_CACHE_MS.
+const ICY_TIMEOUT_MS = 8000;
+const ICY_CACHE_MS = 10000;
+const icyCache = new Map(); // url -> { at, promise }
+
+function radioStreamUrls() {
+  if (!fs.existsSync(RADIO_JSON)) return new Set();
+  const data = JSON.parse(fs.readFileSync(RADIO_JSON, "utf-8"));
+  const stations = Array.isArray(data.stations) ? data.stations : [];
+  return new Set(stations.map((s) => s?.url).filter((u) => typeof u === "string"));
+}
+
+function cachedIcyTitle(url) {
+  const now = Date.now();
+  for (const [u, entry] of icyCache) {
+    if (now - entry.at > ICY_CACHE_MS) icyCache.delete(u);
+  }
+  let entry = icyCache.get(url);
+  if (!entry) {
+    entry = { at: now, promise: readIcyTitle(url, { timeoutMs: ICY_TIMEOUT_MS }) };
+    entry.promise.catch(() => icyCache.delete(url));
+    icyCache.set(url, entry);
+  }
+  return entry.promise;
+}
+
+// GET /api/icy?url=<stream url> — { title, name } of what the stream plays now
+app.get("/api/icy", async (req, res) => {
+  // The game may be served from another origin (any static server)
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Cache-Control", "no-store");
+  try {
+    const url = String(req.query.url || "");
+    if (!/^https?:\/\//.test(url)) throw httpError(400, "Query must be ?url=<http(s) stream URL>.");
+    if (!radioStreamUrls().has(url)) throw httpError(403, "Not a station in data/radio.json.");
+
+    const { title, name } = await cachedIcyTitle(url);
+    res.json({ title, name });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -303,6 +707,8 @@ app.post("/api/upload/:id?", upload.any(), (req, res) => {
 // Start
 // ---------------------------------------------------------------------------
 
+recoverInterruptedChanges();
+
 app.listen(PORT, () => {
   console.log(`Level Uploader running at http://localhost:${PORT}`);
   console.log(`Project root: ${PROJECT_ROOT}`);
@@ -0,0 +1,205 @@
+// The game's carousel and secondary sprite placement (src/carousel.js,
+// src/spritePlacement.js), run over many seeds and level / sprite setups.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Carousel from "../../src/carousel.js";
+import * as Placement from "../../src/spritePlacement.js";
+import { hashString, mulberry32 } from "../../src/rng.js";
+
+const SEEDS = 200;
+
+function rng(seed, name) {
+  return mulberry32(hashString(`${seed}:${name}`));
+}
+
+// ---------- Carousel ----------
+
+// HOME at index 0, then `count` levels; some special, some rarer, one test level
+function makeLevels(count, rand) {
+  const levels = [{ id: "HOME", isHome: true }];
+  for (let i = 1; i <= count; i++) {
+    levels.push({
+      id: String(i).padStart(3, "0"),
+      category: rand() < 0.25 ? "special" : rand() < 0.5 ? "forest" : "common",
+      rarity: 1 + Math.floor(rand() * 10),
+      ...(i === count && count > 3 ? { isTest: true } : {}),
+    });
+  }
+  return levels;
+}
+
+function makeSetup(seed, strategyName) {
+  const setupRand = rng(seed, "setup");
+  const levels = makeLevels(1 + Math.floor(setupRand() * 12), setupRand);
+  const ids = levels.slice(1).map((l) => l.id);
+  const excludedIds = ids.filter(() => setupRand() < 0.2);
+  const special = setupRand() < 0.5
+    ? { maxPerLoop: -1, minLevelsBefore: 0 }
+    : { maxPerLoop: Math.floor(setupRand() * 3), minLevelsBefore: Math.floor(setupRand() * 3) };
+  const loopLength = setupRand() < 0.5 ? 0 : 1 + Math.floor(setupRand() * 8);
+
+  const cfg = {
+    levels,
+    excludedIds,
+    includeExcluded: false,
+    weighting: { rarityExponent: 1, special },
+    strategy: {
+      name: strategyName,
+      order: [...ids].reverse(),
+      themes: ["special", "forest"],
+      loopLength,
+    },
+    rand: rng(seed, "carousel"),
+  };
+  const state = {
+    carousel: [],
+    carouselPos: 0,
+    levelIndex: 0,
+    homeIndex: 0,
+    homeOnly: false,
+    visitedLevels: new Set(),
+  };
+  return { cfg, state };
+}
+
+// Walk (randomly left or right) until the loop is complete
+function walkUntilComplete(state, cfg, rand) {
+  Carousel.initCarouselWithHomeOrFallback(state, cfg);
+  for (let steps = 0; !Carousel.carouselComplete(state, cfg); steps++) {
+    assert.ok(steps < 1000, "carousel never completes");
+    state.levelIndex = rand() < 0.5
+      ? Carousel.carouselMoveRight(state, cfg)
+      : Carousel.carouselMoveLeft(state, cfg);
+    state.visitedLevels.add(state.levelIndex);
+  }
+}
+
+function checkLoop(state, cfg) {
+  const drawn = state.carousel.filter((i) => i !== state.homeIndex);
+  const eligible = Carousel.nonHomeIndices(state, cfg);
+  const { loopLength } = cfg.strategy;
+  const { maxPerLoop } = cfg.weighting.special;
+
+  assert.equal(state.carousel.filter((i) => i === state.homeIndex).length, 1, "HOME once");
+  assert.equal(new Set(drawn).size, drawn.length, `a level appears twice: ${drawn}`);
+  for (const i of drawn) assert.ok(eligible.includes(i), `level ${i} is excluded or a test level`);
+
+  // Without rules that hold levels back, the loop is every eligible level
+  if (maxPerLoop < 0 && !loopLength) {
+    assert.deepEqual([...drawn].sort((a, b) => a - b), eligible);
+  }
+  if (loopLength) assert.ok(drawn.length <= loopLength, "loop longer than loopLength");
+  if (maxPerLoop >= 0) {
+    assert.ok(drawn.filter((i) => Carousel.isSpecialIndex(cfg, i)).length <= maxPerLoop, "too many specials");
+  }
+
+  // Walking the full length of the loop wraps back to where we started
+  const start = state.carouselPos;
+  const seen = [];
+  for (let n = 0; n < state.carousel.length; n++) seen.push(Carousel.carouselMoveRight(state, cfg));
+  assert.equal(state.carouselPos, start, "walk did not wrap around");
+  assert.deepEqual([...seen].sort((a, b) => a - b), [...state.carousel].sort((a, b) => a - b));
+}
+
+for (const strategyName of ["random", "daily", "fixed", "themed"]) {
+  test(`${strategyName}: every eligible level appears once before the carousel wraps`, () => {
+    for (let seed = 1; seed <= SEEDS; seed++) {
+      const { cfg, state } = makeSetup(seed, strategyName);
+      walkUntilComplete(state, cfg, rng(seed, "walk"));
+      checkLoop(state, cfg);
+    }
+  });
+}
+
+test("a themed loop is shuffled once, however often it is filled", () => {
+  for (let seed = 1; seed <= SEEDS; seed++) {
+    const runs = [1, 4].map((fills) => {
+      const { cfg, state } = makeSetup(seed, "themed");
+      Carousel.initCarouselWithHomeOrFallback(state, cfg);
+      for (let n = 0; n < fills; n++) Carousel.fillCarousel(state, cfg);
+      // The stream is left where it was, so later draws replay too
+      return { carousel: state.carousel, next: cfg.rand() };
+    });
+    assert.deepEqual(runs[1], runs[0]);
+  }
+});
+
+// ---------- Secondary sprites ----------
+
+function makeSprites(count, rand) {
+  return Array.from({ length: count }, () => ({ speed: 20 + Math.floor(rand() * 180) }));
+}
+
+function positionsFor(count) {
+  return Array.from({ length: count }, (_, i) => i + 1);
+}
+
+test("distributeSpriteAssignments never puts more than MAX_SPRITES_PER_LEVEL on a level", () => {
+  for (let seed = 1; seed <= SEEDS; seed++) {
+    const setupRand = rng(seed, "setup");
+    const spriteCount = Math.floor(setupRand() * 30);
+    const positions = positionsFor(1 + Math.floor(setupRand() * 8));
+
+    const out = Placement.distributeSpriteAssignments(spriteCount, positions, rng(seed, "sprites"));
+
+    const perLevel = new Map();
+    for (const a of out) {
+      assert.ok(positions.includes(a.carouselPos), "assigned to an unknown level");
+      perLevel.set(a.carouselPos, (perLevel.get(a.carouselPos) || 0) + 1);
+    }
+    for (const [pos, n] of perLevel) {
+      assert.ok(n <= Placement.MAX_SPRITES_PER_LEVEL, `${n} sprites on level ${pos}`);
+    }
+    assert.equal(new Set(out.map((a) => a.spriteIdx)).size, out.length, "a sprite is placed twice");
+    assert.equal(out.length, Math.min(spriteCount, positions.length * Placement.MAX_SPRITES_PER_LEVEL));
+  }
+});
+
+// Every pair of quadrant placements on one level keeps its minQuadGap
+function assertSeparated(placed, spriteConfigs, heroSpeed) {
+  for (let a = 0; a < placed.length; a++) {
+    for (let b = a + 1; b < placed.length; b++) {
+      const p = placed[a];
+      const q = placed[b];
+      const gap = Placement.minQuadGap(
+        p.direction, Placement.spriteSpeedTier(spriteConfigs[p.spriteIdx].speed, heroSpeed),
+        q.direction, Placement.spriteSpeedTier(spriteConfigs[q.spriteIdx].speed, heroSpeed)
+      );
+      assert.ok(Math.abs(p.quadrant - q.quadrant) >= gap, `quadrants ${p.quadrant} and ${q.quadrant} closer than ${gap}`);
+    }
+  }
+}
+
+test("resolveQuadrantsForLevel keeps placements at least minQuadGap apart", () => {
+  for (let seed = 1; seed <= SEEDS; seed++) {
+    const setupRand = rng(seed, "setup");
+    const spriteConfigs = makeSprites(2 + Math.floor(setupRand() * 3), setupRand);
+    const sprites = spriteConfigs.map((_, spriteIdx) => ({ spriteIdx, carouselPos: 1 }));
+    for (const heroDir of [1, -1]) {
+      const placed = Placement.resolveQuadrantsForLevel(sprites, heroDir, {
+        spriteConfigs, heroSpeed: 90, width: 1280, rand: rng(seed, `quadrants:${heroDir}`),
+      });
+      assertSeparated(placed, spriteConfigs, 90);
+    }
+  }
+});
+
+test("planSecondarySprites keeps every level's placements at least minQuadGap apart", () => {
+  for (let seed = 1; seed <= SEEDS; seed++) {
+    const setupRand = rng(seed, "setup");
+    const spriteConfigs = makeSprites(Math.floor(setupRand() * 20), setupRand);
+    const nonHomePositions = positionsFor(1 + Math.floor(setupRand() * 6));
+    const heroDir = setupRand() < 0.5 ? 1 : -1;
+
+    const plan = Placement.planSecondarySprites({
+      spriteConfigs, nonHomePositions, heroDir, heroSpeed: 90, width: 1280, rand: rng(seed, "sprites"),
+    });
+
+    const byLevel = new Map();
+    for (const p of plan) byLevel.set(p.carouselPos, [...(byLevel.get(p.carouselPos) || []), p]);
+    for (const placed of byLevel.values()) {
+      assert.ok(placed.length <= Placement.MAX_SPRITES_PER_LEVEL);
+      if (placed.length > 1) assertSeparated(placed, spriteConfigs, 90);
+    }
+  }
+});
@@ -0,0 +1,183 @@
+// The game's layer playback engine (src/layerEngine.js): frame timing, start
+// delays, intervals and play-state resets. Times use fps 8 and a 1/16 s step
+// so every sum is exact in floating point.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeLayerSpec,
+  createPlayState,
+  resetPlayState,
+  advanceFrame,
+  stepLayer,
+} from "../../src/layerEngine.js";
+import { mulberry32 } from "../../src/rng.js";
+
+const DT = 1 / 16;
+const SPF = 1 / 8;
+
+function spec(fields) {
+  return normalizeLayerSpec({ type: "frames", count: 4, fps: 8, ...fields });
+}
+
+// Step a layer from level time 0 for `seconds`; one entry per step
+function run(s, ps, seconds, from = 0) {
+  const out = [];
+  for (let t = from + DT; t <= from + seconds + 1e-9; t += DT) {
+    out.push({ t, ...stepLayer(s, ps, DT, t) });
+  }
+  return out;
+}
+
+function at(timeline, t) {
+  return timeline.find((e) => Math.abs(e.t - t) < 1e-9);
+}
+
+function startTimes(timeline) {
+  return timeline.filter((e) => e.started).map((e) => e.t);
+}
+
+test("advanceFrame loops and reports the wrap", () => {
+  const ps = createPlayState();
+  const seen = [];
+  for (let i = 0; i < 8; i++) seen.push([advanceFrame(ps, 4, "loop"), ps.frameIndex]);
+  assert.deepEqual(seen, [
+    [false, 1], [false, 2], [false, 3], [true, 0],
+    [false, 1], [false, 2], [false, 3], [true, 0],
+  ]);
+});
+
+test("advanceFrame pingpong turns at the last frame and completes back at 0", () => {
+  const ps = createPlayState();
+  const seen = [];
+  for (let i = 0; i < 12; i++) seen.push([advanceFrame(ps, 4, "pingpong"), ps.frameIndex]);
+  assert.deepEqual(seen, [
+    [false, 1], [false, 2], [false, 3], [false, 2], [false, 1], [true, 0],
+    [false, 1], [false, 2], [false, 3], [false, 2], [false, 1], [true, 0],
+  ]);
+  assert.equal(ps.direction, 1);
+});
+
+test("pingpong loop starts a play-through each time it is back at frame 0", () => {
+  const s = spec({ animation: "pingpong" });
+  const timeline = run(s, createPlayState(), 3);
+  // 6 frame steps per cycle at fps 8 = 0.75 s
+  assert.deepEqual(startTimes(timeline), [DT, 0.75, 1.5, 2.25, 3]);
+  assert.equal(at(timeline, 3 * SPF).frameIndex, 3);
+  assert.equal(at(timeline, 5 * SPF).frameIndex, 1);
+});
+
+test("once waits for startMs, plays through and holds the last frame", () => {
+  const s = spec({ rendering: "once", startMs: 500 });
+  const timeline = run(s, createPlayState(), 2);
+
+  for (const e of timeline.filter((e) => e.t < 0.5)) assert.equal(e.visible, false, `visible at ${e.t}`);
+  assert.deepEqual(startTimes(timeline), [0.5]);
+  assert.deepEqual(at(timeline, 0.5), { t: 0.5, frameIndex: 0, visible: true, started: true });
+  assert.equal(at(timeline, 0.5 + SPF).frameIndex, 1);
+  assert.equal(at(timeline, 0.5 + 3 * SPF).frameIndex, 3);
+  // The 4th frame step completes the cycle: last frame held from then on
+  for (const e of timeline.filter((e) => e.t >= 0.5 + 3 * SPF)) {
+    assert.equal(e.frameIndex, 3);
+    assert.equal(e.visible, true);
+  }
+});
+
+test("once with pingpong ends back on the first frame", () => {
+  const s = spec({ rendering: "once", animation: "pingpong" });
+  const timeline = run(s, createPlayState(), 2);
+  assert.equal(at(timeline, 3 * SPF).frameIndex, 3);
+  assert.equal(at(timeline, 2).frameIndex, 0);
+  assert.deepEqual(startTimes(timeline), [DT]);
+});
+
+test("intermittent plays repeatCount times, waiting a seeded random interval between", () => {
+  const fields = {
+    rendering: "intermittent", startMs: 250, repeatCount: 2,
+    randomInterval: true, minIntervalMs: 1000, maxIntervalMs: 3000,
+  };
+  for (let seed = 1; seed <= 50; seed++) {
+    const timeline = run(spec(fields), createPlayState(mulberry32(seed)), 10);
+    const starts = startTimes(timeline);
+    assert.equal(starts.length, 2, `seed ${seed}: ${starts}`);
+    assert.equal(starts[0], 0.25);
+
+    // First cycle ends after 4 frame steps; the wait is the stream's first roll
+    const cycleEnd = 0.25 + 4 * SPF - DT;
+    const interval = (1000 + mulberry32(seed)() * 2000) / 1000;
+    const wait = starts[1] - cycleEnd;
+    assert.ok(wait >= interval - DT && wait <= interval + DT, `seed ${seed}: waited ${wait}, rolled ${interval}`);
+
+    // Hidden while waiting (no showFirstFrame) and once repeatCount is reached
+    for (const e of timeline.filter((e) => e.t > cycleEnd && e.t < starts[1])) assert.equal(e.visible, false);
+    const done = starts[1] + 4 * SPF;
+    for (const e of timeline.filter((e) => e.t >= done)) assert.equal(e.visible, false);
+
+    // Same seed, same timeline
+    assert.deepEqual(run(spec(fields), createPlayState(mulberry32(seed)), 10), timeline);
+  }
+});
+
+test("showFirstFrame holds frame 0 before startMs and between repetitions", () => {
+  const fields = { rendering: "intermittent", startMs: 500, intervalMs: 1000, showFirstFrame: true };
+  const timeline = run(spec(fields), createPlayState(), 4);
+
+  for (const e of timeline.filter((e) => e.t < 0.5)) {
+    assert.deepEqual([e.visible, e.frameIndex], [true, 0], `before startMs at ${e.t}`);
+  }
+  const [first, second] = startTimes(timeline);
+  assert.equal(first, 0.5);
+  for (const e of timeline.filter((e) => e.t > first + 4 * SPF - DT && e.t < second)) {
+    assert.deepEqual([e.visible, e.frameIndex], [true, 0], `waiting at ${e.t}`);
+  }
+
+  // Without it, the layer is hidden at those times
+  const hidden = run(spec({ ...fields, showFirstFrame: false }), createPlayState(), 4);
+  assert.equal(at(hidden, 0.25).visible, false);
+  assert.equal(at(hidden, (first + 4 * SPF + second) / 2).visible, false);
+});
+
+test("loop with intervalMs pauses between play-throughs", () => {
+  const timeline = run(spec({ intervalMs: 500 }), createPlayState(), 3);
+  // 0.5 s of frames, then 0.5 s waiting that counts from the step ending the cycle
+  const period = 4 * SPF + 0.5 - DT;
+  assert.deepEqual(startTimes(timeline), [DT, period, 2 * period, 3 * period]);
+  assert.equal(at(timeline, 0.25).visible, true);
+  assert.equal(at(timeline, 0.75).visible, false);
+});
+
+test("static once appears at startMs and counts one start", () => {
+  const timeline = run(normalizeLayerSpec({ type: "static", rendering: "once", startMs: 300 }), createPlayState(), 1);
+  assert.equal(at(timeline, 0.25).visible, false);
+  assert.equal(at(timeline, 0.3125).visible, true);
+  assert.deepEqual(startTimes(timeline), [0.3125]);
+});
+
+test("resetPlayState rewinds to the level's start and keeps the rng stream", () => {
+  const s = spec({ rendering: "intermittent", repeatCount: 3, intervalMs: 700 });
+  const rng = mulberry32(7);
+  const ps = createPlayState(rng);
+  const first = run(s, ps, 5);
+  assert.equal(ps.phase, "done");
+
+  resetPlayState(ps);
+  assert.deepEqual(
+    { ...ps, rng: undefined },
+    { ...createPlayState(), rng: undefined },
+  );
+  assert.equal(ps.rng, rng);
+
+  // Re-entering the level replays the same timeline
+  assert.deepEqual(run(s, ps, 5), first);
+});
+
+test("resetPlayState mid-animation restarts once from startMs", () => {
+  const s = spec({ rendering: "once", startMs: 250 });
+  const ps = createPlayState();
+  run(s, ps, 0.5);
+  assert.notEqual(ps.frameIndex, 0);
+
+  resetPlayState(ps);
+  const again = run(s, ps, 1);
+  assert.equal(at(again, 0.125).visible, false);
+  assert.deepEqual(startTimes(again), [0.25]);
+});
@@ -0,0 +1,197 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLevelStore } = require("../levelStore");
+
+// Each test gets a throwaway project: level 001 on disk, listed in
+// levels.json and excluded in carousel.json.
+let root, paths, store;
+
+const OLD_LEVELS = JSON.stringify({ levels: [{ id: "001", name: "Old" }] }, null, 2) + "\n";
+const OLD_CAROUSEL = JSON.stringify({ excludedLevels: ["001"] }, null, 2) + "\n";
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "levelstore-"));
+  paths = {
+    levelsDir: path.join(root, "levels"),
+    levelsJson: path.join(root, "levels.json"),
+    carouselJson: path.join(root, "carousel.json"),
+  };
+  fs.mkdirSync(path.join(paths.levelsDir, "001"), { recursive: true });
+  fs.writeFileSync(path.join(paths.levelsDir, "001", "background.png"), "old");
+  fs.writeFileSync(paths.levelsJson, OLD_LEVELS);
+  fs.writeFileSync(paths.carouselJson, OLD_CAROUSEL);
+  store = createLevelStore(paths);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function stageLevel(content = "new") {
+  const dir = path.join(paths.levelsDir, ".staging-001-test");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "background.png"), content);
+  return dir;
+}
+
+const newLevels = { levels: [{ id: "001", name: "New" }] };
+
+function assertOldStateRestored() {
+  assert.equal(fs.readFileSync(path.join(paths.levelsDir, "001", "background.png"), "utf-8"), "old");
+  assert.equal(fs.readFileSync(paths.levelsJson, "utf-8"), OLD_LEVELS);
+  assert.equal(fs.readFileSync(paths.carouselJson, "utf-8"), OLD_CAROUSEL);
+  assert.equal(fs.existsSync(store.journalFile), false, "journal removed");
+  const leftovers = fs.readdirSync(paths.levelsDir).filter((n) => n.startsWith(".backup-"));
+  assert.deepEqual(leftovers, [], "no backup folder left");
+}
+
+// Make fs.renameSync throw once, on the first call matching (from, to)
+function failRenameOnce(t, matches) {
+  const real = fs.renameSync;
+  let failed = false;
+  t.mock.method(fs, "renameSync", (from, to) => {
+    if (!failed && matches(from, to)) {
+      failed = true;
+      throw Object.assign(new Error("injected failure"), { code: "EIO" });
+    }
+    return real(from, to);
+  });
+}
+
+test("commits a staged level and levels.json", () => {
+  store.commitLevelChange("001", stageLevel(), newLevels);
+
+  assert.equal(fs.readFileSync(path.join(paths.levelsDir, "001", "background.png"), "utf-8"), "new");
+  assert.deepEqual(JSON.parse(fs.readFileSync(paths.levelsJson, "utf-8")), newLevels);
+  assert.equal(fs.readFileSync(paths.carouselJson, "utf-8"), OLD_CAROUSEL);
+  assert.deepEqual(fs.readdirSync(paths.levelsDir), ["001"]);
+});
+
+test("deletes a level together with its carousel.json mentions", () => {
+  store.commitLevelChange("001", null, { levels: [] }, { excludedLevels: [] });
+
+  assert.equal(fs.existsSync(path.join(paths.levelsDir, "001")), false);
+  assert.deepEqual(JSON.parse(fs.readFileSync(paths.levelsJson, "utf-8")), { levels: [] });
+  assert.deepEqual(JSON.parse(fs.readFileSync(paths.carouselJson, "utf-8")), { excludedLevels: [] });
+  assert.deepEqual(fs.readdirSync(paths.levelsDir), []);
+});
+
+test("a failed journal write changes nothing", (t) => {
+  const staging = stageLevel();
+  failRenameOnce(t, (_from, to) => to === store.journalFile);
+
+  assert.throws(() => store.commitLevelChange("001", staging, newLevels), /injected failure/);
+  assertOldStateRestored();
+  assert.ok(fs.existsSync(staging), "staging folder is left for the caller to remove");
+});
+
+test("a failed backup rename is rolled back", (t) => {
+  const staging = stageLevel();
+  failRenameOnce(t, (from) => from === path.join(paths.levelsDir, "001"));
+
+  assert.throws(() => store.commitLevelChange("001", staging, newLevels), /injected failure/);
+  assertOldStateRestored();
+});
+
+test("a failed swap rename is rolled back", (t) => {
+  const staging = stageLevel();
+  failRenameOnce(t, (from) => from === staging);
+
+  assert.throws(() => store.commitLevelChange("001", staging, newLevels), /injected failure/);
+  assertOldStateRestored();
+});
+
+test("a failed levels.json write is rolled back", (t) => {
+  const staging = stageLevel();
+  failRenameOnce(t, (_from, to) => to === paths.levelsJson);
+
+  assert.throws(() => store.commitLevelChange("001", staging, newLevels), /injected failure/);
+  assertOldStateRestored();
+});
+
+test("a failed carousel.json write restores the deleted level", (t) => {
+  failRenameOnce(t, (_from, to) => to === paths.carouselJson);
+
+  assert.throws(
+    () => store.commitLevelChange("001", null, { levels: [] }, { excludedLevels: [] }),
+    /injected failure/
+  );
+  assertOldStateRestored();
+});
+
+test("a data-only change writes both files and leaves the folder alone", () => {
+  store.commitDataChange("001", newLevels, { excludedLevels: [] });
+
+  assert.equal(fs.readFileSync(path.join(paths.levelsDir, "001", "background.png"), "utf-8"), "old");
+  assert.deepEqual(JSON.parse(fs.readFileSync(paths.levelsJson, "utf-8")), newLevels);
+  assert.deepEqual(JSON.parse(fs.readFileSync(paths.carouselJson, "utf-8")), { excludedLevels: [] });
+  assert.deepEqual(fs.readdirSync(paths.levelsDir), ["001"]);
+});
+
+test("a failed carousel.json write in a data-only change restores levels.json", (t) => {
+  failRenameOnce(t, (_from, to) => to === paths.carouselJson);
+
+  assert.throws(() => store.commitDataChange("001", newLevels, { excludedLevels: [] }), /injected failure/);
+  assertOldStateRestored();
+});
+
+test("a data-only change interrupted by a crash is rolled back at startup", (t) => {
+  // What a crash after the levels.json write leaves behind
+  fs.writeFileSync(store.journalFile, JSON.stringify({
+    levelId: "001",
+    dataOnly: true,
+    previousLevelsJson: OLD_LEVELS,
+    previousCarouselJson: OLD_CAROUSEL,
+  }));
+  fs.writeFileSync(paths.levelsJson, JSON.stringify(newLevels));
+  t.mock.method(console, "warn", () => {});
+
+  store.recoverInterruptedChanges();
+  assertOldStateRestored();
+});
+
+test("a crash mid-change is rolled back by recovery at startup", (t) => {
+  const staging = stageLevel();
+
+  // The process "dies" while writing levels.json: that rename and every fs
+  // call after it fail, so the in-process rollback can't run either.
+  let dead = false;
+  const realRename = fs.renameSync;
+  const realRm = fs.rmSync;
+  const realOpen = fs.openSync;
+  const check = () => { if (dead) throw new Error("process is gone"); };
+  t.mock.method(fs, "renameSync", (from, to) => {
+    check();
+    if (to === paths.levelsJson) { dead = true; check(); }
+    return realRename(from, to);
+  });
+  t.mock.method(fs, "rmSync", (...args) => { check(); return realRm(...args); });
+  t.mock.method(fs, "openSync", (...args) => { check(); return realOpen(...args); });
+  t.mock.method(console, "error", () => {});
+
+  assert.throws(() => store.commitLevelChange("001", staging, newLevels));
+  t.mock.restoreAll();
+
+  // What a crash leaves: the new folder in place, the old one aside, the journal
+  assert.equal(fs.readFileSync(path.join(paths.levelsDir, "001", "background.png"), "utf-8"), "new");
+  assert.ok(fs.existsSync(store.journalFile));
+
+  t.mock.method(console, "warn", () => {});
+  createLevelStore(paths).recoverInterruptedChanges();
+  assertOldStateRestored();
+});
+
+test("recovery removes leftover staging folders and temp files", (t) => {
+  stageLevel();
+  fs.writeFileSync(`${paths.levelsJson}.tmp-1-2`, "{");
+  t.mock.method(console, "warn", () => {});
+
+  store.recoverInterruptedChanges();
+
+  assert.deepEqual(fs.readdirSync(paths.levelsDir), ["001"]);
+  assert.deepEqual(fs.readdirSync(root).sort(), ["carousel.json", "levels", "levels.json"]);
+  assertOldStateRestored();
+});
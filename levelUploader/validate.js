@@ -0,0 +1,799 @@
+// Schema + validator for the game's data files:
+//   data/levels.json, data/sprites.json, data/radio.json, data/carousel.json
+//
+// Every entry is checked against its schema below AND against the files in
+// assets/ (frame counts, expected file names, exact-case paths).
+//
+// Standalone:   node validate.js        (or: npm run validate)
+//               exits 1 if there are errors; warnings are printed only
+// From code:    validateProject(root) / validateLevelEntry(entry, opts)
+//               -> { errors: [string], warnings: [string] }
+
+const fs = require("fs");
+const path = require("path");
+const { readImageInfo } = require("./imageInfo");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..");
+// The game's canvas width; a level is "screens" of these wide
+const SCREEN_W = 1280;
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+// Field spec: { type, required?, enum?, min?, max? }
+// type: "string" | "number" | "integer" | "boolean" | "array" | "object"
+// Fields not listed in a schema are reported as warnings (usually typos).
+
+const LAYER_FIELDS = {
+  folder: { type: "string", required: true },
+  type: { type: "string", enum: ["static", "frames"] },
+  rendering: { type: "string", enum: ["loop", "once", "intermittent"] },
+  animation: { type: "string", enum: ["loop", "pingpong"] },
+  fps: { type: "number", min: 1 },
+  count: { type: "integer", min: 1 },
+  parallax: {},                   // true, or depth factors (PARALLAX_FIELDS)
+  startMs: { type: "number", min: 0 },
+  intervalMs: { type: "number", min: 0 },
+  randomInterval: { type: "boolean" },
+  minIntervalMs: { type: "number", min: 0 },
+  maxIntervalMs: { type: "number", min: 0 },
+  repeatCount: { type: "integer", min: -1 },
+  showFirstFrame: { type: "boolean" },
+  sound: { type: "object" },
+};
+
+// A layer's (or background's) depth factors; unset ones take the game's defaults
+const PARALLAX_FIELDS = {
+  zoom: { type: "number", min: 1 },
+  follow: { type: "number", min: -1, max: 1 },
+  offsetY: { type: "number" },
+  maxPan: { type: "number", min: 0 },
+};
+
+// Sound cue fired by a layer's playback; src is relative to the level folder
+const LAYER_SOUND_FIELDS = {
+  src: { type: "string", required: true },
+  on: { type: "string", enum: ["start", "cycle"] },
+  volume: { type: "number", min: 0, max: 1 },
+  x: { type: "number", min: 0 },  // world x, up to the level's width (checkWorldX)
+};
+
+// Looping ambient of a gameplay level; src is relative to the level folder
+const AMBIENT_FIELDS = {
+  src: { type: "string", required: true },
+  volume: { type: "number", min: 0, max: 1 },
+  fadeMs: { type: "number", min: 0 },
+};
+
+const LEVEL_FIELDS = {
+  id: { type: "string", required: true },
+  name: { type: "string" },
+  isHome: { type: "boolean" },
+  isTest: { type: "boolean" },
+  category: { type: "string", enum: ["common", "special"] },
+  rarity: { type: "integer", min: 1, max: 10 },
+  screens: { type: "number", min: 1 },  // width in 1280 px screens
+  backgroundParallax: { type: "object" },
+  transition: { type: "object" },
+  underlays: { type: "array" },
+  overlays: { type: "array" },
+  // HOME only
+  background: { type: "string" },
+  layer1: { type: "object" },
+  layer2: { type: "object" },
+  layer3: { type: "object" },
+  layer4: { type: "object" },
+  homeIntro: { type: "object" },
+  homeOutro: { type: "object" },
+  // Gameplay levels only
+  cutscene: { type: "object" },
+  ambient: { type: "object" },
+};
+
+// How a level is entered; also the levels.json top-level default
+const TRANSITION_FIELDS = {
+  type: { type: "string", enum: ["cut", "crossfade", "fade", "slide", "iris"] },
+  durationMs: { type: "number", min: 0 },
+};
+
+// HOME legacy layers (layer1..layer4)
+const HOME_LAYER_FIELDS = {
+  type: { type: "string", enum: ["image", "frames"] },
+  src: { type: "string" },
+  folder: { type: "string" },
+  count: { type: "integer", min: 1 },
+  fps: { type: "number", min: 1 },
+  align: { type: "string", enum: ["screen", "bg"] },
+};
+
+// HOME frame sequences (homeIntro / homeOutro "sequences")
+const SEQUENCE_FIELDS = {
+  folder: { type: "string", required: true },
+  count: { type: "integer", required: true, min: 1 },
+  fps: { type: "number", min: 1 },
+  loop: { type: "boolean" },
+};
+
+// Scripts (homeIntro, homeOutro, level cutscene): named sequences, images and
+// sounds played as a list of steps
+const SCRIPT_FIELDS = {
+  sequences: { type: "object" },
+  images: { type: "object" },
+  sounds: { type: "object" },
+  steps: { type: "array", required: true },
+};
+
+const HOME_OUTRO_FIELDS = SCRIPT_FIELDS;
+
+const HOME_INTRO_FIELDS = {
+  ...SCRIPT_FIELDS,
+  promptEnter: { type: "string" },
+  promptArrows: { type: "string" },
+  commandsOverlay: { type: "string" },
+};
+
+// Gameplay level cutscene; file paths are relative to the level folder
+const CUTSCENE_FIELDS = {
+  ...SCRIPT_FIELDS,
+  trigger: { type: "object", required: true },
+  repeat: { type: "boolean" },
+  resumeX: { type: "number", min: 0 },  // world x (checkWorldX)
+};
+
+// At least one of these; all given conditions must hold
+const CUTSCENE_TRIGGER_FIELDS = {
+  heroX: { type: "number", min: 0 },    // world x (checkWorldX)
+  afterMs: { type: "number", min: 0 },
+  visit: { type: "integer", min: 1 },
+};
+
+const HOME_STEP_FIELDS = {
+  id: { type: "string" },
+  layers: { type: "array", required: true },
+  until: { type: "object" },
+  onEnter: { type: "array" },
+  onExit: { type: "array" },
+  cues: { type: "array" },
+};
+
+// Exactly one of these
+const HOME_UNTIL_FIELDS = {
+  sequenceDone: { type: "string" },
+  afterMs: { type: "number", min: 0 },
+  key: { type: "string", enum: ["enter", "arrow"] },
+};
+
+const HOME_CUE_FIELDS = {
+  sequence: { type: "string", required: true },
+  frame: { type: "integer", required: true, min: 0 },
+  actions: { type: "array", required: true },
+};
+
+// Same names as HOME_ACTIONS in src/main.js
+const HOME_ACTION_FIELDS = {
+  do: {
+    type: "string",
+    required: true,
+    enum: ["radioWarmUp", "radioGoLive", "radioMute", "ambientStart", "ambientStop", "overlayPlay", "overlayStop", "sound"],
+  },
+  name: { type: "string" },   // "sound": one of the script's sounds
+  volume: { type: "number", min: 0, max: 1 },
+  fadeMs: { type: "number", min: 0 },
+};
+
+// Step layer names that are not script sequences/images, by level kind
+const HOME_BUILTIN_LAYERS = ["background", "layer1", "layer2", "layer3", "layer4"];
+const LEVEL_BUILTIN_LAYERS = ["background", "underlays", "overlays", "sprites"];
+
+const SPRITE_FIELDS = {
+  id: { type: "integer", required: true, min: 1 },
+  count: { type: "integer", required: true, min: 1 },
+  fps: { type: "number", min: 1 },
+  speed: { type: "number", min: 0 },
+  sizeRatio: { type: "number", min: 0.01 },
+  depthOffset: { type: "number" },
+};
+
+// Exactly one source: a remote stream (url) or local audio under assets/audio
+// (file, or playlist played in order). Streams may name where their
+// now-playing title comes from (metadataUrl, JSON field metadataPath).
+const STATION_FIELDS = {
+  name: { type: "string", required: true },
+  url: { type: "string" },
+  file: { type: "string" },
+  playlist: { type: "array" },
+  metadataUrl: { type: "string" },
+  metadataPath: { type: "string" },
+};
+
+// Played when every station is down; local audio only
+const { url: _url, metadataUrl: _metadataUrl, metadataPath: _metadataPath, ...FALLBACK_STATION_FIELDS } = STATION_FIELDS;
+
+const RADIO_FIELDS = {
+  stations: { type: "array", required: true },
+  fallback: { type: "object" },
+  icyProxy: { type: "string" },
+};
+
+const CAROUSEL_FIELDS = {
+  excludedLevels: { type: "array" },
+  rarityExponent: { type: "number", min: 0 },
+  special: { type: "object" },
+  strategy: { type: "string", enum: ["random", "fixed", "daily", "themed"] },
+  order: { type: "array" },        // "fixed": level ids
+  themes: { type: "array" },       // "themed": categories, first groups first
+  loopLength: { type: "integer", min: 0 },
+};
+
+const CAROUSEL_SPECIAL_FIELDS = {
+  maxPerLoop: { type: "integer", min: -1 },
+  minLevelsBefore: { type: "integer", min: 0 },
+};
+
+// ---------------------------------------------------------------------------
+// Generic checks
+// ---------------------------------------------------------------------------
+
+function newReport() {
+  return { errors: [], warnings: [] };
+}
+
+function typeOk(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Check obj against a field schema. Returns false if obj is not an object at
+ * all (callers then skip deeper checks).
+ */
+function checkFields(obj, fields, where, report) {
+  if (!typeOk(obj, "object")) {
+    report.errors.push(`${where}: must be an object`);
+    return false;
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const value = obj[key];
+    if (value === undefined) {
+      if (spec.required) report.errors.push(`${where}: missing required "${key}"`);
+      continue;
+    }
+    if (!typeOk(value, spec.type)) {
+      report.errors.push(`${where}: "${key}" must be ${spec.type === "integer" ? "an integer" : `a ${spec.type}`}`);
+      continue;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      report.errors.push(`${where}: "${key}" is "${value}" — expected one of ${spec.enum.map((v) => `"${v}"`).join(", ")}`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      report.errors.push(`${where}: "${key}" is ${value} — must be ≥ ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      report.errors.push(`${where}: "${key}" is ${value} — must be ≤ ${spec.max}`);
+    }
+  }
+
+  for (const key of Object.keys(obj)) {
+    if (!(key in fields)) report.warnings.push(`${where}: unknown field "${key}"`);
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// File checks
+// ---------------------------------------------------------------------------
+
+/**
+ * True if the file exists with exactly this name. Case matters: the game is
+ * served from case-sensitive hosts even when developed on macOS/Windows.
+ */
+function fileExists(absPath) {
+  const dir = path.dirname(absPath);
+  if (!fs.existsSync(dir)) return false;
+  return fs.readdirSync(dir).includes(path.basename(absPath));
+}
+
+function rel(root, absPath) {
+  return path.relative(root, absPath).split(path.sep).join("/");
+}
+
+function listSample(names) {
+  return names.slice(0, 3).join(", ") + (names.length > 3 ? `, … (+${names.length - 3})` : "");
+}
+
+/**
+ * Check a numbered sequence: `${name(i)}` for i in [first, first + count).
+ * Also warns about numbered files beyond count (usually a stale count).
+ */
+function checkSequenceFiles(dir, count, name, first, pattern, where, report, root) {
+  if (!fs.existsSync(dir)) {
+    report.errors.push(`${where}: folder ${rel(root, dir)} not found`);
+    return;
+  }
+  const onDisk = fs.readdirSync(dir);
+  const missing = [];
+  for (let i = first; i < first + count; i++) {
+    if (!onDisk.includes(name(i))) missing.push(name(i));
+  }
+  if (missing.length) {
+    report.errors.push(`${where}: ${rel(root, dir)} is missing ${missing.length} of ${count} files (${listSample(missing)})`);
+  }
+  const numbered = onDisk.filter((n) => pattern.test(n)).length;
+  if (numbered > count) {
+    report.warnings.push(`${where}: ${rel(root, dir)} has ${numbered} files but count is ${count}`);
+  }
+}
+
+const frameName = (i) => `frame_${String(i).padStart(2, "0")}.png`;
+const FRAME_PATTERN = /^frame_\d+\.png$/;
+const spriteName = (i) => `sprite_${String(i).padStart(3, "0")}.png`;
+const SPRITE_PATTERN = /^sprite_\d+\.png$/;
+
+function checkFileRef(root, src, where, report) {
+  if (!fileExists(path.join(root, src))) report.errors.push(`${where}: file ${src} not found`);
+}
+
+// ---------------------------------------------------------------------------
+// levels.json
+// ---------------------------------------------------------------------------
+
+/** "parallax": a boolean, or depth factors. */
+function checkParallax(value, where, report) {
+  if (typeOk(value, "boolean")) return;
+  if (!typeOk(value, "object")) {
+    report.errors.push(`${where}: must be true/false or { zoom, follow, offsetY, maxPan }`);
+    return;
+  }
+  checkFields(value, PARALLAX_FIELDS, where, report);
+}
+
+/** One underlay/overlay spec of a gameplay level. */
+function checkLayer(spec, levelDir, where, report, root) {
+  if (!checkFields(spec, LAYER_FIELDS, where, report)) return;
+  if (typeof spec.folder !== "string") return;
+
+  const type = spec.type ?? "frames";
+  const dir = path.join(levelDir, spec.folder);
+
+  if (spec.sound !== undefined) checkLevelAudio(spec.sound, LAYER_SOUND_FIELDS, levelDir, `${where}.sound`, report, root);
+  if (spec.parallax !== undefined) checkParallax(spec.parallax, `${where}.parallax`, report);
+
+  if (spec.randomInterval) {
+    const min = spec.minIntervalMs ?? 2000;
+    const max = spec.maxIntervalMs ?? 8000;
+    if (min > max) report.errors.push(`${where}: minIntervalMs (${min}) > maxIntervalMs (${max})`);
+  }
+
+  if (type === "frames") {
+    if (spec.count === undefined) {
+      report.errors.push(`${where}: type "frames" requires "count"`);
+      return;
+    }
+    if (Number.isInteger(spec.count) && spec.count > 0) {
+      checkSequenceFiles(dir, spec.count, frameName, 1, FRAME_PATTERN, where, report, root);
+    }
+  } else if (type === "static") {
+    // Same candidates as the game's loader
+    const names = spec.folder.startsWith("underlay")
+      ? ["underlay.png", "overlay.png", "image.png"]
+      : ["overlay.png", "underlay.png", "image.png"];
+    if (!names.some((n) => fileExists(path.join(dir, n)))) {
+      report.errors.push(`${where}: ${rel(root, dir)} has none of ${names.join(", ")}`);
+    }
+  }
+}
+
+/** A layer sound or level ambient: fields plus the file in the level folder. */
+function checkLevelAudio(spec, fields, levelDir, where, report, root) {
+  if (!checkFields(spec, fields, where, report)) return;
+  if (typeof spec.src === "string" && !fileExists(path.join(levelDir, spec.src))) {
+    report.errors.push(`${where}: file ${rel(root, path.join(levelDir, spec.src))} not found`);
+  }
+}
+
+function checkScriptActions(actions, sounds, where, report) {
+  if (!Array.isArray(actions)) return;
+  actions.forEach((a, i) => {
+    const w = `${where}[${i}]`;
+    if (!checkFields(a, HOME_ACTION_FIELDS, w, report)) return;
+    if (a.do !== "sound") return;
+    if (typeof a.name !== "string") report.errors.push(`${w}: "sound" requires "name"`);
+    else if (!(a.name in sounds)) report.errors.push(`${w}: sound "${a.name}" is not one of its sounds`);
+  });
+}
+
+/**
+ * A script (homeIntro / homeOutro / cutscene): sequences, images, sounds and
+ * steps that only name those. File paths are resolved against baseDir.
+ */
+function checkScript(script, fields, lvl, where, report, root, baseDir) {
+  if (!checkFields(script, fields, where, report)) return;
+
+  const sequences = typeOk(script.sequences, "object") ? script.sequences : {};
+  const images = typeOk(script.images, "object") ? script.images : {};
+  const sounds = typeOk(script.sounds, "object") ? script.sounds : {};
+  for (const [name, seq] of Object.entries(sequences)) {
+    const w = `${where}.sequences.${name}`;
+    if (!checkFields(seq, SEQUENCE_FIELDS, w, report)) continue;
+    if (typeof seq.folder === "string" && Number.isInteger(seq.count) && seq.count > 0) {
+      checkSequenceFiles(path.join(baseDir, seq.folder), seq.count, frameName, 1, FRAME_PATTERN, w, report, root);
+    }
+  }
+  for (const [kind, map] of [["images", images], ["sounds", sounds]]) {
+    for (const [name, src] of Object.entries(map)) {
+      const w = `${where}.${kind}.${name}`;
+      if (typeof src !== "string") report.errors.push(`${w}: must be a file path`);
+      else if (!fileExists(path.join(baseDir, src))) report.errors.push(`${w}: file ${rel(root, path.join(baseDir, src))} not found`);
+    }
+  }
+  const builtins = lvl.isHome ? HOME_BUILTIN_LAYERS : LEVEL_BUILTIN_LAYERS;
+
+  if (script.commandsOverlay !== undefined && !(script.commandsOverlay in sequences)) {
+    report.errors.push(`${where}: commandsOverlay "${script.commandsOverlay}" is not one of its sequences`);
+  }
+
+  if (!Array.isArray(script.steps)) return;
+  if (script.steps.length === 0) report.errors.push(`${where}: "steps" is empty`);
+
+  script.steps.forEach((step, i) => {
+    const w = `${where}.steps[${i}]${typeof step?.id === "string" ? ` "${step.id}"` : ""}`;
+    if (!checkFields(step, HOME_STEP_FIELDS, w, report)) return;
+
+    for (const name of Array.isArray(step.layers) ? step.layers : []) {
+      if (name in sequences || name in images) continue;
+      if (!builtins.includes(name)) {
+        report.errors.push(`${w}: layer "${name}" is not a sequence, image or one of ${builtins.join(", ")}`);
+      } else if (/^layer\d$/.test(name) && lvl[name] === undefined) {
+        report.warnings.push(`${w}: layer "${name}" is not defined on this level`);
+      }
+    }
+
+    const until = step.until;
+    if (until !== undefined && checkFields(until, HOME_UNTIL_FIELDS, `${w}.until`, report)) {
+      const keys = Object.keys(until).filter((k) => k in HOME_UNTIL_FIELDS);
+      if (keys.length !== 1) {
+        report.errors.push(`${w}.until: needs exactly one of ${Object.keys(HOME_UNTIL_FIELDS).join(", ")}`);
+      }
+      const seq = sequences[until.sequenceDone];
+      if (typeof until.sequenceDone === "string" && !seq) {
+        report.errors.push(`${w}.until: sequenceDone "${until.sequenceDone}" is not one of its sequences`);
+      } else if (seq?.loop) {
+        report.errors.push(`${w}.until: sequence "${until.sequenceDone}" loops and never finishes`);
+      }
+    } else if (until === undefined && i < script.steps.length - 1) {
+      report.warnings.push(`${w}: no "until" — the steps after it never play`);
+    }
+
+    checkScriptActions(step.onEnter, sounds, `${w}.onEnter`, report);
+    checkScriptActions(step.onExit, sounds, `${w}.onExit`, report);
+
+    (Array.isArray(step.cues) ? step.cues : []).forEach((cue, j) => {
+      const cw = `${w}.cues[${j}]`;
+      if (!checkFields(cue, HOME_CUE_FIELDS, cw, report)) return;
+      const seq = sequences[cue.sequence];
+      if (typeof cue.sequence === "string" && !seq) {
+        report.errors.push(`${cw}: sequence "${cue.sequence}" is not one of its sequences`);
+      } else if (seq && Number.isInteger(cue.frame) && Number.isInteger(seq.count) && cue.frame >= seq.count) {
+        report.errors.push(`${cw}: frame ${cue.frame} is past the end of "${cue.sequence}" (${seq.count} frames)`);
+      }
+      checkScriptActions(cue.actions, sounds, `${cw}.actions`, report);
+    });
+  });
+}
+
+function checkHomeLevel(lvl, where, report, root) {
+  if (typeof lvl.background !== "string") {
+    report.errors.push(`${where}: HOME requires "background"`);
+  } else {
+    checkFileRef(root, lvl.background, `${where}.background`, report);
+  }
+
+  for (const key of ["layer1", "layer2", "layer3", "layer4"]) {
+    const spec = lvl[key];
+    if (spec === undefined) continue;
+    const w = `${where}.${key}`;
+    if (!checkFields(spec, HOME_LAYER_FIELDS, w, report)) continue;
+    if ((spec.type ?? "frames") === "image") {
+      if (typeof spec.src !== "string") report.errors.push(`${w}: type "image" requires "src"`);
+      else checkFileRef(root, spec.src, w, report);
+    } else if (typeof spec.folder !== "string" || !Number.isInteger(spec.count)) {
+      report.errors.push(`${w}: type "frames" requires "folder" and "count"`);
+    } else {
+      checkSequenceFiles(path.join(root, spec.folder), spec.count, frameName, 1, FRAME_PATTERN, w, report, root);
+    }
+  }
+
+  if (lvl.homeIntro !== undefined) {
+    checkScript(lvl.homeIntro, HOME_INTRO_FIELDS, lvl, `${where}.homeIntro`, report, root, root);
+  }
+  if (lvl.homeOutro !== undefined) {
+    checkScript(lvl.homeOutro, HOME_OUTRO_FIELDS, lvl, `${where}.homeOutro`, report, root, root);
+  }
+  if (lvl.cutscene !== undefined) {
+    report.errors.push(`${where}: "cutscene" is for gameplay levels — HOME uses homeIntro/homeOutro`);
+  }
+  if (lvl.ambient !== undefined) {
+    report.errors.push(`${where}: "ambient" is for gameplay levels — HOME starts its own with the "ambientStart" action`);
+  }
+  if (lvl.screens !== undefined) {
+    report.errors.push(`${where}: "screens" is for gameplay levels — HOME is always one screen`);
+  }
+  if (lvl.backgroundParallax !== undefined) {
+    report.errors.push(`${where}: "backgroundParallax" is for gameplay levels`);
+  }
+}
+
+function checkCutscene(cutscene, lvl, levelDir, where, report, root) {
+  checkScript(cutscene, CUTSCENE_FIELDS, lvl, where, report, root, levelDir);
+  const trigger = cutscene?.trigger;
+  if (!typeOk(trigger, "object")) return;
+  if (checkFields(trigger, CUTSCENE_TRIGGER_FIELDS, `${where}.trigger`, report) &&
+      !Object.keys(trigger).some((k) => k in CUTSCENE_TRIGGER_FIELDS)) {
+    report.errors.push(`${where}.trigger: needs at least one of ${Object.keys(CUTSCENE_TRIGGER_FIELDS).join(", ")}`);
+  }
+}
+
+/** Positions in a level (world x) must lie within its width. */
+function checkWorldX(lvl, where, report) {
+  const worldW = Math.round(SCREEN_W * (typeOk(lvl.screens, "number") && lvl.screens > 1 ? lvl.screens : 1));
+  const check = (value, at) => {
+    if (typeOk(value, "number") && value > worldW) {
+      report.errors.push(`${at} is ${value} — the level is ${worldW} px wide`);
+    }
+  };
+  for (const key of ["underlays", "overlays"]) {
+    if (!Array.isArray(lvl[key])) continue;
+    lvl[key].forEach((spec, i) => check(spec?.sound?.x, `${where}.${key}[${i}].sound: "x"`));
+  }
+  check(lvl.cutscene?.resumeX, `${where}.cutscene: "resumeX"`);
+  check(lvl.cutscene?.trigger?.heroX, `${where}.cutscene.trigger: "heroX"`);
+}
+
+/** A wide level's background spans all its screens: 16:9 per screen. */
+function checkBackgroundSize(lvl, file, where, report) {
+  if (!typeOk(lvl.screens, "number") || lvl.screens < 1) return;
+  const info = readImageInfo(file);
+  if (!info) return;
+  if (Math.abs(info.width * 9 - info.height * 16 * lvl.screens) > 16 * lvl.screens) {
+    report.warnings.push(
+      `${where}: background.png is ${info.width}×${info.height} — expected ${lvl.screens} × 16:9 for "screens": ${lvl.screens}`
+    );
+  }
+}
+
+/**
+ * Validate one levels.json entry.
+ * opts.root     — project root (default: the repo this file lives in)
+ * opts.levelDir — folder holding the level's files (default: assets/levels/<id>);
+ *                 the uploader passes its staging folder here before committing.
+ */
+function validateLevelEntry(lvl, opts = {}, report = newReport(), where = null) {
+  const root = opts.root || PROJECT_ROOT;
+  const label = where || `levels.json: level "${lvl?.id ?? "?"}"`;
+  if (!checkFields(lvl, LEVEL_FIELDS, label, report)) return report;
+  if (lvl.transition !== undefined) checkFields(lvl.transition, TRANSITION_FIELDS, `${label}.transition`, report);
+
+  if (lvl.isHome) {
+    checkHomeLevel(lvl, label, report, root);
+    return report;
+  }
+
+  if (typeof lvl.id !== "string") return report;
+  const levelDir = opts.levelDir || path.join(root, "assets", "levels", lvl.id);
+  const bgPath = path.join(levelDir, "background.png");
+  if (!fileExists(bgPath)) {
+    report.errors.push(`${label}: ${rel(root, bgPath)} not found`);
+  } else {
+    checkBackgroundSize(lvl, bgPath, label, report);
+  }
+
+  for (const key of ["underlays", "overlays"]) {
+    const specs = lvl[key];
+    if (!Array.isArray(specs)) continue;
+    const folders = new Set();
+    specs.forEach((spec, i) => {
+      const w = `${label}.${key}[${i}]`;
+      checkLayer(spec, levelDir, w, report, root);
+      if (typeof spec?.folder === "string") {
+        if (folders.has(spec.folder)) report.errors.push(`${w}: folder "${spec.folder}" used twice`);
+        folders.add(spec.folder);
+      }
+    });
+  }
+
+  if (lvl.cutscene !== undefined) checkCutscene(lvl.cutscene, lvl, levelDir, `${label}.cutscene`, report, root);
+  if (lvl.ambient !== undefined) checkLevelAudio(lvl.ambient, AMBIENT_FIELDS, levelDir, `${label}.ambient`, report, root);
+  if (lvl.backgroundParallax !== undefined) checkFields(lvl.backgroundParallax, PARALLAX_FIELDS, `${label}.backgroundParallax`, report);
+  checkWorldX(lvl, label, report);
+  return report;
+}
+
+function validateLevels(json, root, report) {
+  if (!typeOk(json, "object") || !Array.isArray(json.levels) || json.levels.length === 0) {
+    report.errors.push("levels.json: must contain { levels: [ ... ] } with at least 1 level");
+    return [];
+  }
+  if (json.transition !== undefined) checkFields(json.transition, TRANSITION_FIELDS, "levels.json: transition", report);
+
+  const ids = new Set();
+  let homes = 0;
+  json.levels.forEach((lvl, i) => {
+    const where = `levels.json: levels[${i}]${typeof lvl?.id === "string" ? ` "${lvl.id}"` : ""}`;
+    validateLevelEntry(lvl, { root }, report, where);
+    if (typeof lvl?.id === "string") {
+      if (ids.has(lvl.id)) report.errors.push(`${where}: duplicate id "${lvl.id}"`);
+      ids.add(lvl.id);
+    }
+    if (lvl?.isHome) homes++;
+  });
+  if (homes > 1) report.errors.push(`levels.json: ${homes} levels have "isHome" — only one is allowed`);
+  return [...ids];
+}
+
+// ---------------------------------------------------------------------------
+// sprites.json / radio.json / carousel.json
+// ---------------------------------------------------------------------------
+
+function validateSprites(json, root, report) {
+  if (!typeOk(json, "object") || !Array.isArray(json.secondarySprites)) {
+    report.errors.push("sprites.json: must contain { secondarySprites: [ ... ] }");
+    return;
+  }
+  const ids = new Set();
+  json.secondarySprites.forEach((cfg, i) => {
+    const where = `sprites.json: secondarySprites[${i}]${Number.isInteger(cfg?.id) ? ` (id ${cfg.id})` : ""}`;
+    if (!checkFields(cfg, SPRITE_FIELDS, where, report)) return;
+    if (!Number.isInteger(cfg.id)) return;
+    if (ids.has(cfg.id)) report.errors.push(`${where}: duplicate id ${cfg.id}`);
+    ids.add(cfg.id);
+    if (Number.isInteger(cfg.count) && cfg.count > 0) {
+      const dir = path.join(root, "assets", "sprites", "secondary", String(cfg.id));
+      checkSequenceFiles(dir, cfg.count, spriteName, 0, SPRITE_PATTERN, where, report, root);
+    }
+  });
+}
+
+function checkStation(st, fields, where, report, root) {
+  if (!checkFields(st, fields, where, report)) return;
+  const sources = ["url", "file", "playlist"].filter((k) => k in fields && st[k] !== undefined);
+  if (sources.length !== 1) {
+    const names = ["url", "file", "playlist"].filter((k) => k in fields).join(", ");
+    report.errors.push(`${where}: needs exactly one of ${names}`);
+  }
+  if (typeof st.url === "string" && !/^https?:\/\//.test(st.url)) {
+    report.errors.push(`${where}: url must start with http:// or https://`);
+  }
+  if (typeof st.metadataUrl === "string" && !/^https?:\/\//.test(st.metadataUrl)) {
+    report.errors.push(`${where}: metadataUrl must start with http:// or https://`);
+  }
+  if ((st.metadataUrl !== undefined || st.metadataPath !== undefined) && st.url === undefined) {
+    report.errors.push(`${where}: metadataUrl / metadataPath only apply to streams (url)`);
+  }
+
+  const files = [
+    ...(typeof st.file === "string" ? [st.file] : []),
+    ...(Array.isArray(st.playlist) ? st.playlist : []),
+  ];
+  if (Array.isArray(st.playlist) && st.playlist.length === 0) report.errors.push(`${where}: "playlist" is empty`);
+  files.forEach((file) => {
+    if (typeof file !== "string" || !file.startsWith("assets/audio/")) {
+      report.errors.push(`${where}: local audio must be a path under assets/audio/ (got ${JSON.stringify(file)})`);
+    } else {
+      checkFileRef(root, file, where, report);
+    }
+  });
+}
+
+function validateRadio(json, root, report) {
+  if (!typeOk(json, "object") || !Array.isArray(json.stations)) {
+    report.errors.push("radio.json: must contain { stations: [ ... ] }");
+    return;
+  }
+  checkFields(json, RADIO_FIELDS, "radio.json", report);
+  if (typeof json.icyProxy === "string" && !/^https?:\/\//.test(json.icyProxy)) {
+    report.errors.push("radio.json: icyProxy must start with http:// or https://");
+  }
+  json.stations.forEach((st, i) => {
+    const where = `radio.json: stations[${i}]${typeof st?.name === "string" ? ` "${st.name}"` : ""}`;
+    checkStation(st, STATION_FIELDS, where, report, root);
+  });
+  if (json.fallback !== undefined) {
+    checkStation(json.fallback, FALLBACK_STATION_FIELDS, "radio.json: fallback", report, root);
+  }
+}
+
+function validateCarousel(json, levelIds, report) {
+  if (!checkFields(json, CAROUSEL_FIELDS, "carousel.json", report)) return;
+  if (json.special !== undefined) {
+    checkFields(json.special, CAROUSEL_SPECIAL_FIELDS, "carousel.json: special", report);
+  }
+  (Array.isArray(json.excludedLevels) ? json.excludedLevels : []).forEach((id, i) => {
+    if (!levelIds.includes(id)) {
+      report.errors.push(`carousel.json: excludedLevels[${i}] "${id}" is not a level in levels.json`);
+    }
+  });
+
+  const strategy = json.strategy || "random";
+  if (Array.isArray(json.order)) {
+    json.order.forEach((id, i) => {
+      if (!levelIds.includes(id)) {
+        report.errors.push(`carousel.json: order[${i}] "${id}" is not a level in levels.json`);
+      } else if (json.order.indexOf(id) !== i) {
+        report.errors.push(`carousel.json: order[${i}] "${id}" is listed twice`);
+      }
+    });
+    if (strategy !== "fixed") report.warnings.push(`carousel.json: "order" is only used by strategy "fixed"`);
+  } else if (strategy === "fixed") {
+    report.warnings.push(`carousel.json: strategy "fixed" without "order" — levels.json order is used`);
+  }
+  if (Array.isArray(json.themes)) {
+    json.themes.forEach((theme, i) => {
+      if (!LEVEL_FIELDS.category.enum.includes(theme)) {
+        report.errors.push(`carousel.json: themes[${i}] ${JSON.stringify(theme)} is not a category (${LEVEL_FIELDS.category.enum.join(", ")})`);
+      }
+    });
+    if (strategy !== "themed") report.warnings.push(`carousel.json: "themes" is only used by strategy "themed"`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Whole project
+// ---------------------------------------------------------------------------
+
+function readJson(root, file, report) {
+  const abs = path.join(root, "data", file);
+  if (!fs.existsSync(abs)) {
+    report.errors.push(`${file}: not found`);
+    return undefined;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(abs, "utf-8"));
+  } catch (err) {
+    report.errors.push(`${file}: invalid JSON (${err.message})`);
+    return undefined;
+  }
+}
+
+/** Validate all four data files of the project at root against assets/. */
+function validateProject(root = PROJECT_ROOT) {
+  const report = newReport();
+
+  const levels = readJson(root, "levels.json", report);
+  const levelIds = levels === undefined ? [] : validateLevels(levels, root, report);
+
+  const sprites = readJson(root, "sprites.json", report);
+  if (sprites !== undefined) validateSprites(sprites, root, report);
+
+  const radio = readJson(root, "radio.json", report);
+  if (radio !== undefined) validateRadio(radio, root, report);
+
+  const carousel = readJson(root, "carousel.json", report);
+  if (carousel !== undefined) validateCarousel(carousel, levelIds, report);
+
+  return report;
+}
+
+function formatReport(report) {
+  const lines = [];
+  for (const e of report.errors) lines.push(`error    ${e}`);
+  for (const w of report.warnings) lines.push(`warning  ${w}`);
+  lines.push(`${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  return lines.join("\n");
+}
+
+module.exports = { validateProject, validateLevelEntry, formatReport };
+
+if (require.main === module) {
+  const root = process.argv[2] ? path.resolve(process.argv[2]) : PROJECT_ROOT;
+  const report = validateProject(root);
+  console.log(formatReport(report));
+  process.exitCode = report.errors.length ? 1 : 0;
+}
@@ -0,0 +1,233 @@
+// Carousel — the order in which levels are met while walking left/right.
+//
+// Pure logic, no DOM: the game (src/main.js) and Node tooling share it.
+// Every function takes the carousel state and a config explicitly:
+//
+//   state = { carousel: [levelIndex…], carouselPos, levelIndex, homeIndex,
+//             homeOnly, visitedLevels: Set,
+//             loopOrder }                             (mutated by the moves)
+//   cfg   = { levels,            // levelData (levels.json entries)
+//             excludedIds,       // carousel.json excludedLevels
+//             includeExcluded,   // true in ?debug=true
+//             weighting,         // { rarityExponent, special: { maxPerLoop, minLevelsBefore } }
+//             strategy,          // { name, order, themes, loopLength } (see below)
+//             rand }             // () => [0, 1), e.g. RNG.stream("carousel")
+//
+// The carousel stores LEVEL INDICES (not ids). HOME sits at its start and the
+// loop is complete once nothing else can be drawn into it (every level, or
+// strategy.loopLength of them), after which the walk wraps around.
+//
+// strategy.name decides how the loop is drawn:
+//   "random" — weighted draws, one at a time as the hero walks past the known ends
+//   "daily"  — weighted draws too, but the whole loop up front (the caller seeds
+//              rand with the date, so everyone walks the same loop that day)
+//   "fixed"  — strategy.order (level ids); levels it doesn't list follow in
+//              levels.json order
+//   "themed" — levels grouped by category (strategy.themes first, then in order
+//              of appearance), shuffled within each group
+// All but "random" lay out the whole loop when the carousel is created. The
+// special rules still apply: a special level that isn't allowed yet is passed
+// over until it is.
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+export function isHomeIndex(state, i) {
+  return state.homeIndex !== -1 && i === state.homeIndex;
+}
+
+export function nonHomeIndices(state, cfg) {
+  const out = [];
+  for (let i = 0; i < cfg.levels.length; i++) {
+    if (isHomeIndex(state, i)) continue;
+    if (cfg.levels[i]?.isTest) continue; // test levels never enter carousel
+    if (!cfg.includeExcluded && cfg.excludedIds.includes(cfg.levels[i]?.id)) continue;
+    out.push(i);
+  }
+  return out;
+}
+
+export function usedNonHomeCount(state) {
+  return state.carousel.filter((i) => !isHomeIndex(state, i)).length;
+}
+
+// strategy.loopLength levels are drawn (0 / unset = no limit)
+export function loopLengthReached(state, cfg) {
+  const n = cfg.strategy?.loopLength || 0;
+  return n > 0 && usedNonHomeCount(state) >= n;
+}
+
+export function isSpecialIndex(cfg, i) {
+  return cfg.levels[i]?.category === "special";
+}
+
+// A level's weight is 1 / rarity^rarityExponent, so rarer levels are drawn less often and later.
+export function levelWeight(cfg, i) {
+  const rarity = clamp(Number(cfg.levels[i]?.rarity) || 1, 1, 10);
+  return 1 / Math.pow(rarity, cfg.weighting.rarityExponent);
+}
+
+// Unused non-HOME levels that may still be drawn into the current loop.
+// "special" levels are filtered by the carousel.json special rules.
+export function eligibleUnusedNonHomeIndices(state, cfg) {
+  if (loopLengthReached(state, cfg)) return [];
+  const used = new Set(state.carousel);
+  const drawn = usedNonHomeCount(state);
+  const specialsDrawn = state.carousel.filter((i) => isSpecialIndex(cfg, i)).length;
+  const { maxPerLoop, minLevelsBefore } = cfg.weighting.special;
+
+  return nonHomeIndices(state, cfg).filter((i) => {
+    if (used.has(i)) return false;
+    if (!isSpecialIndex(cfg, i)) return true;
+    if (maxPerLoop >= 0 && specialsDrawn >= maxPerLoop) return false;
+    return drawn >= minLevelsBefore;
+  });
+}
+
+// The loop is complete once nothing else can be drawn into it.
+// With special rules or a loop length this can happen before every non-HOME level is used.
+export function carouselComplete(state, cfg) {
+  return eligibleUnusedNonHomeIndices(state, cfg).length === 0;
+}
+
+// True once every level of the (complete) loop has been set foot on.
+export function fullLoopVisited(state, cfg) {
+  if (state.homeOnly) return true;
+  if (!carouselComplete(state, cfg)) return false;
+  return state.carousel.every((i) => isHomeIndex(state, i) || state.visitedLevels.has(i));
+}
+
+export function weightedPick(pool, weightOf, rand) {
+  const total = pool.reduce((sum, i) => sum + weightOf(i), 0);
+  let r = rand() * total;
+  for (const i of pool) {
+    r -= weightOf(i);
+    if (r < 0) return i;
+  }
+  return pool[pool.length - 1];
+}
+
+export function pickUnusedNonHomeLevelIndex(state, cfg) {
+  const pool = eligibleUnusedNonHomeIndices(state, cfg);
+  if (pool.length === 0) {
+    const nonHome = nonHomeIndices(state, cfg);
+    return nonHome[0] ?? 0;
+  }
+  return weightedPick(pool, (i) => levelWeight(cfg, i), cfg.rand);
+}
+
+export function strategyName(cfg) {
+  return cfg.strategy?.name || "random";
+}
+
+// Levels in the order a "fixed" / "themed" loop wants them, or null when the
+// strategy draws by weight. Laid out once per loop and kept in state.loopOrder,
+// so the themed shuffle draws from rand the same number of times however often
+// the loop is filled (and a ?seed= walk replays).
+export function preferredOrder(state, cfg) {
+  if (state.loopOrder === undefined) state.loopOrder = layOutOrder(state, cfg);
+  return state.loopOrder;
+}
+
+function layOutOrder(state, cfg) {
+  const pool = nonHomeIndices(state, cfg);
+  const name = strategyName(cfg);
+
+  if (name === "fixed") {
+    const ids = cfg.strategy.order || [];
+    const rank = (i) => {
+      const r = ids.indexOf(cfg.levels[i]?.id);
+      return r === -1 ? ids.length : r;
+    };
+    return [...pool].sort((a, b) => rank(a) - rank(b) || a - b);
+  }
+
+  if (name === "themed") {
+    const groups = new Map();
+    for (const theme of cfg.strategy.themes || []) groups.set(theme, []);
+    for (const i of pool) {
+      const category = cfg.levels[i]?.category || "common";
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(i);
+    }
+    return [...groups.values()].flatMap((group) => shuffle(group, cfg.rand));
+  }
+
+  return null;
+}
+
+function shuffle(arr, rand) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Draw the rest of the loop up front (appended after the known levels).
+export function fillCarousel(state, cfg) {
+  const order = preferredOrder(state, cfg);
+  while (!carouselComplete(state, cfg)) {
+    const pool = eligibleUnusedNonHomeIndices(state, cfg);
+    state.carousel.push(order ? order.find((i) => pool.includes(i)) : pickUnusedNonHomeLevelIndex(state, cfg));
+  }
+}
+
+export function initCarouselWithHomeOrFallback(state, cfg) {
+  state.loopOrder = undefined; // a new loop, laid out afresh
+  if (state.homeIndex !== -1) {
+    state.carousel = [state.homeIndex];
+    state.carouselPos = 0;
+    state.levelIndex = state.homeIndex;
+  } else {
+    const startIdx = Math.floor(cfg.rand() * cfg.levels.length);
+    state.carousel = [startIdx];
+    state.carouselPos = 0;
+    state.levelIndex = startIdx;
+  }
+
+  // Every strategy but "random" lays out the whole loop now
+  if (strategyName(cfg) !== "random") fillCarousel(state, cfg);
+}
+
+// Step one level to the right; returns the new level index.
+export function carouselMoveRight(state, cfg) {
+  if (cfg.levels.length <= 1 || state.homeOnly) return state.levelIndex;
+
+  if (carouselComplete(state, cfg)) {
+    state.carouselPos = (state.carouselPos + 1) % state.carousel.length;
+    return state.carousel[state.carouselPos];
+  }
+
+  if (state.carouselPos < state.carousel.length - 1) {
+    state.carouselPos += 1;
+    return state.carousel[state.carouselPos];
+  }
+
+  const nextIdx = pickUnusedNonHomeLevelIndex(state, cfg);
+  state.carousel.push(nextIdx);
+  state.carouselPos = state.carousel.length - 1;
+  return nextIdx;
+}
+
+// Step one level to the left; returns the new level index.
+export function carouselMoveLeft(state, cfg) {
+  if (cfg.levels.length <= 1 || state.homeOnly) return state.levelIndex;
+
+  if (carouselComplete(state, cfg)) {
+    state.carouselPos =
+      (state.carouselPos - 1 + state.carousel.length) % state.carousel.length;
+    return state.carousel[state.carouselPos];
+  }
+
+  if (state.carouselPos > 0) {
+    state.carouselPos -= 1;
+    return state.carousel[state.carouselPos];
+  }
+
+  const prevIdx = pickUnusedNonHomeLevelIndex(state, cfg);
+  state.carousel.unshift(prevIdx);
+  state.carouselPos = 0;
+  return prevIdx;
+}
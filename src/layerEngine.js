@@ -0,0 +1,258 @@
+// Layer playback engine — shared by the game (src/main.js), the uploader's
+// live preview and Node tooling.
+//
+// Pure logic only: no DOM, no canvas, no clock. A caller owns a normalized
+// layer spec plus a play state, steps it with stepLayer() every frame and
+// draws whatever frame it reports.
+//
+//   const spec = normalizeLayerSpec(levelsJsonEntry, frameCount);
+//   const ps = createPlayState(rng);
+//   const { frameIndex, visible, started } = stepLayer(spec, ps, dt, levelTime);
+//
+// dt and levelTime are in seconds; levelTime counts from when the hero
+// entered the level (drives startMs for "once" / "intermittent").
+// started is true on the step a play-through begins (sound cues hook onto it).
+//
+// Parallax layers are placed with parallaxRect() from the hero's position.
+
+export const DEFAULT_LAYER_FPS = 12;
+
+// levels.json "parallax": true takes these; an object overrides some of them:
+//   zoom    — scale of the layer; the room it has to pan ((zoom − 1) × width / 2 each way)
+//   follow  — how far it shifts as the hero crosses the level, -1 … 1
+//             (negative = against the hero's direction)
+//   offsetY — vertical shift in px (+ = down)
+//   maxPan  — cap on the horizontal shift in px
+export const DEFAULT_PARALLAX = { zoom: 1.02, follow: 0.55, offsetY: 0, maxPan: 55 };
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+/** Resolve a "parallax" value (false / true / object) into depth factors, or null. */
+export function normalizeParallax(spec) {
+  if (!spec) return null;
+  const p = typeof spec === "object" ? spec : {};
+  const num = (v, fallback) => (v === undefined || v === null || v === "" || !Number.isFinite(Number(v)) ? fallback : Number(v));
+  return {
+    zoom: Math.max(1, num(p.zoom, DEFAULT_PARALLAX.zoom)),
+    follow: clamp(num(p.follow, DEFAULT_PARALLAX.follow), -1, 1),
+    offsetY: num(p.offsetY, DEFAULT_PARALLAX.offsetY),
+    maxPan: Math.max(0, num(p.maxPan, DEFAULT_PARALLAX.maxPan)),
+  };
+}
+
+/**
+ * Where to draw a parallax image that spans a level `width` × `height`, with
+ * the hero (heroW wide) at heroX. p: from normalizeParallax().
+ * Returns { x, y, w, h } in level coordinates.
+ */
+export function parallaxRect(p, heroX, heroW, width, height) {
+  const w = width * p.zoom;
+  const h = height * p.zoom;
+  const maxPan = Math.min((w - width) / 2, p.maxPan);
+
+  const heroN = clamp(heroX / Math.max(1, width - heroW), 0, 1) * 2 - 1;
+  const pan = clamp(heroN * maxPan * p.follow, -maxPan, maxPan);
+
+  return { x: -(w - width) / 2 + pan, y: -(h - height) / 2 + p.offsetY, w, h };
+}
+
+/**
+ * Resolve a levels.json overlay/underlay entry into the fields the engine
+ * reads, with the game's defaults applied.
+ * frameCount is the number of frames actually loaded (1 for static layers).
+ */
+export function normalizeLayerSpec(spec, frameCount = Number(spec.count || 0)) {
+  const kind = String(spec.type || "frames").toLowerCase();
+  return {
+    kind,                                                       // "static" | "frames"
+    frameCount: kind === "static" ? 1 : frameCount,
+    fps: Number(spec.fps || DEFAULT_LAYER_FPS),
+    rendering: String(spec.rendering || "loop").toLowerCase(),  // "loop" | "once" | "intermittent"
+    animation: String(spec.animation || "loop").toLowerCase(),  // "loop" | "pingpong"
+    parallax: normalizeParallax(spec.parallax),                  // null | depth factors
+    startMs: Number(spec.startMs ?? 0),
+    intervalMs: Number(spec.intervalMs ?? 0),
+    randomInterval: Boolean(spec.randomInterval),
+    minIntervalMs: Number(spec.minIntervalMs ?? 2000),
+    maxIntervalMs: Number(spec.maxIntervalMs ?? 8000),
+    repeatCount: Number(spec.repeatCount ?? -1),
+    showFirstFrame: Boolean(spec.showFirstFrame),
+  };
+}
+
+/**
+ * Fresh per-level playback state. rng() returns [0, 1) and is only used to
+ * roll random intervals; pass a seeded stream for reproducible playback.
+ */
+export function createPlayState(rng = Math.random) {
+  return {
+    frameIndex: 0,
+    frameTimer: 0,
+    phase: "idle",     // idle | playing | waiting | done
+    phaseTimer: 0,
+    playCount: 0,
+    nextIntervalMs: 0,
+    direction: 1,      // 1 = forward, -1 = reverse (for pingpong)
+    starts: 0,         // play-throughs begun since the level was entered
+    rng,
+  };
+}
+
+// Rewind a play state to the start of the level (keeps its rng stream)
+export function resetPlayState(ps) {
+  ps.frameIndex = 0;
+  ps.frameTimer = 0;
+  ps.phase = "idle";
+  ps.phaseTimer = 0;
+  ps.playCount = 0;
+  ps.nextIntervalMs = 0;
+  ps.direction = 1;
+  ps.starts = 0;
+}
+
+/**
+ * Advance frame index by one step, respecting animation mode.
+ * For "loop": wraps around (0→1→…→N-1→0).
+ * For "pingpong": bounces (0→1→…→N-1→N-2→…→0→1→…).
+ * Returns true if a full cycle completed (hit the end in loop, or returned to 0 in pingpong).
+ */
+export function advanceFrame(ps, frameCount, animation) {
+  if (animation === "pingpong") {
+    ps.frameIndex += ps.direction;
+    if (ps.frameIndex >= frameCount - 1) {
+      ps.frameIndex = frameCount - 1;
+      ps.direction = -1;
+    }
+    if (ps.frameIndex <= 0) {
+      ps.frameIndex = 0;
+      if (ps.direction === -1) { ps.direction = 1; return true; } // full cycle
+    }
+    return false;
+  }
+  // default: loop
+  ps.frameIndex++;
+  if (ps.frameIndex >= frameCount) { ps.frameIndex = 0; return true; }
+  return false;
+}
+
+function rollInterval(spec, ps) {
+  return spec.randomInterval
+    ? spec.minIntervalMs + ps.rng() * (spec.maxIntervalMs - spec.minIntervalMs)
+    : spec.intervalMs;
+}
+
+// Play frames for dt at spec.fps. onCycle() runs after each completed cycle;
+// returning true stops playback for this step.
+function playFrames(spec, ps, dt, onCycle) {
+  ps.frameTimer += dt;
+  const spf = 1 / Math.max(1, spec.fps);
+  while (ps.frameTimer >= spf) {
+    ps.frameTimer -= spf;
+    if (advanceFrame(ps, spec.frameCount, spec.animation) && onCycle()) break;
+  }
+}
+
+// Count down the pause between repetitions. Returns whether the layer is
+// drawn meanwhile (first frame held, or hidden).
+function waitInterval(spec, ps, dt) {
+  ps.phaseTimer += dt * 1000;
+  if (ps.phaseTimer >= ps.nextIntervalMs) { ps.phase = "playing"; ps.direction = 1; ps.starts++; }
+  if (spec.showFirstFrame) { ps.frameIndex = 0; return true; }
+  return false;
+}
+
+function startPlaying(ps) {
+  ps.phase = "playing";
+  ps.frameIndex = 0;
+  ps.frameTimer = 0;
+  ps.starts++;
+}
+
+/**
+ * Advance one layer by dt and report what to draw.
+ * spec: from normalizeLayerSpec(); ps: from createPlayState() (mutated).
+ * Returns { frameIndex, visible, started }.
+ */
+export function stepLayer(spec, ps, dt, levelTime) {
+  const startsBefore = ps.starts;
+  const out = advanceLayer(spec, ps, dt, levelTime);
+  out.started = ps.starts > startsBefore;
+  return out;
+}
+
+function advanceLayer(spec, ps, dt, levelTime) {
+  const ltMs = levelTime * 1000;
+
+  if (spec.kind === "static") {
+    // For "once" static: only show after startMs
+    const visible = !(spec.rendering === "once" && ltMs < spec.startMs);
+    if (visible && ps.phase === "idle") { ps.phase = "done"; ps.starts++; }
+    return { frameIndex: 0, visible };
+  }
+  if (spec.kind !== "frames" || spec.frameCount <= 0) return { frameIndex: 0, visible: false };
+
+  if (spec.rendering === "loop") {
+    const hasInterval = spec.intervalMs > 0 || spec.randomInterval;
+    if (!hasInterval) {
+      // Simple back-to-back loop; every wrap starts another play-through
+      if (ps.phase === "idle") startPlaying(ps);
+      playFrames(spec, ps, dt, () => { ps.starts++; return false; });
+      return { frameIndex: ps.frameIndex, visible: true };
+    }
+
+    // Loop with interval between repetitions
+    let visible = true;
+    if (ps.phase === "idle") startPlaying(ps);
+    if (ps.phase === "playing") {
+      playFrames(spec, ps, dt, () => {
+        // Completed one cycle — enter wait phase
+        ps.phase = "waiting";
+        ps.nextIntervalMs = rollInterval(spec, ps);
+        ps.phaseTimer = 0;
+        return true;
+      });
+    }
+    if (ps.phase === "waiting") visible = waitInterval(spec, ps, dt);
+    return { frameIndex: ps.frameIndex, visible };
+  }
+
+  if (spec.rendering === "once") {
+    if (ltMs < spec.startMs) return { frameIndex: ps.frameIndex, visible: false };
+    if (ps.phase === "idle") startPlaying(ps);
+    if (ps.phase === "playing") {
+      playFrames(spec, ps, dt, () => {
+        // Hold the last frame (loop) or the first one (pingpong, back at 0)
+        ps.frameIndex = spec.animation === "pingpong" ? 0 : spec.frameCount - 1;
+        ps.phase = "done";
+        return true;
+      });
+    }
+    return { frameIndex: ps.frameIndex, visible: true };
+  }
+
+  if (spec.rendering === "intermittent") {
+    if (ltMs < spec.startMs) return { frameIndex: 0, visible: spec.showFirstFrame };
+    let visible = true;
+    if (ps.phase === "idle") startPlaying(ps);
+    if (ps.phase === "playing") {
+      playFrames(spec, ps, dt, () => {
+        ps.playCount++;
+        if (spec.repeatCount >= 0 && ps.playCount >= spec.repeatCount) {
+          ps.phase = "done";
+          return true;
+        }
+        ps.phase = "waiting";
+        ps.nextIntervalMs = rollInterval(spec, ps);
+        ps.phaseTimer = 0;
+        return true;
+      });
+    }
+    if (ps.phase === "waiting") visible = waitInterval(spec, ps, dt);
+    if (ps.phase === "done") visible = false;
+    return { frameIndex: ps.frameIndex, visible };
+  }
+
+  return { frameIndex: 0, visible: false };
+}
@@ -1,19 +1,153 @@
 // LevelQ Proto — layered levels + HOME in carousel + HOME intro state machine
 //
 // Draw order (back -> front):
-// 1) Background (REQUIRED)            [1:1, no zoom/pan]
+// 1) Background (REQUIRED)            [1:1; gameplay levels may drift it, see backgroundParallax]
 // 2) Layer 1 (optional)               [image or frames; 1:1]
 // 3) Hero (normal gameplay only)
 // 4) Layer 2 (optional)
 // 5) Layer 3 (optional)
 // 6) Layer 4 (optional)
-// 7) Foreground (optional; TRUE FG)   [zoom+pan follow; ONLY parallax layer]
+// 7) Foreground (optional; TRUE FG)   [zoom+pan follow, DEFAULT_PARALLAX]
+//
+// Gameplay levels draw underlays/overlays instead of layers 1–4; any of them
+// can be a parallax plane with its own depth factors (see layerEngine.js).
+
+import {
+  DEFAULT_LAYER_FPS,
+  DEFAULT_PARALLAX,
+  normalizeLayerSpec,
+  normalizeParallax,
+  parallaxRect,
+  createPlayState,
+  resetPlayState,
+  stepLayer,
+} from "./layerEngine.js";
+import * as Carousel from "./carousel.js";
+import * as Placement from "./spritePlacement.js";
+import { hashString, mulberry32 } from "./rng.js";
 
 const canvas = document.getElementById("game");
-const ctx = canvas.getContext("2d");
+let ctx = canvas.getContext("2d"); // swapped for offscreen draws (see drawToBuffer)
+
+// Logical size: everything is drawn in these coordinates, whatever the
+// canvas's size on screen (see VIEW)
+const W = 1280;
+const H = 720;
+
+// =========================
+// VIEW (canvas on screen)
+// =========================
+// Fits the W × H picture into the window at 16:9 (the page background
+// letterboxes it), sizes the canvas's pixels to the display's
+// devicePixelRatio so it stays sharp, and owns fullscreen (F).
+// It is the one canvas-to-screen transform: DOM overlays and touch input go
+// through toScreen() / toCanvas(), and anything placed next to the canvas
+// re-places itself in onChange().
+const VIEW = {
+  margin: 16,          // px around the canvas in a window (none on mobile / fullscreen)
+  rect: { left: 0, top: 0, width: W, height: H }, // canvas picture, in client px
+  scale: 1,            // client px per logical px
+  dpr: 1,
+  listeners: [],
+  _dprQuery: null,
+
+  fit() {
+    const margin = isMobile || this.isFullscreen() ? 0 : this.margin;
+    // The canvas's CSS border (box-sizing: border-box) sits outside the picture
+    const borderW = canvas.offsetWidth - canvas.clientWidth;
+    const borderH = canvas.offsetHeight - canvas.clientHeight;
+    const availW = Math.max(1, window.innerWidth - margin * 2 - borderW);
+    const availH = Math.max(1, window.innerHeight - margin * 2 - borderH);
+    this.scale = Math.min(availW / W, availH / H);
+
+    const cssW = Math.floor(W * this.scale);
+    const cssH = Math.floor(H * this.scale);
+    canvas.style.width = `${cssW + borderW}px`;
+    canvas.style.height = `${cssH + borderH}px`;
+
+    this.dpr = window.devicePixelRatio || 1;
+    const pxW = Math.round(cssW * this.dpr);
+    const pxH = Math.round(cssH * this.dpr);
+    if (canvas.width !== pxW || canvas.height !== pxH) {
+      canvas.width = pxW;   // (clears the canvas; the next frame redraws it)
+      canvas.height = pxH;
+    }
+    this.applyTransform(ctx);
+    this.measure();
+    this.watchDpr();
+    this.notify();
+  },
+
+  // Where the picture is on screen (inside the canvas's border)
+  measure() {
+    const r = canvas.getBoundingClientRect();
+    this.rect = {
+      left: r.left + canvas.clientLeft,
+      top: r.top + canvas.clientTop,
+      width: canvas.clientWidth,
+      height: canvas.clientHeight,
+    };
+    this.scale = this.rect.width / W || this.scale;
+  },
+
+  // Draw in logical coordinates on a context backed by the canvas's pixels
+  applyTransform(g) {
+    g.setTransform(g.canvas.width / W, 0, 0, g.canvas.height / H, 0, 0);
+  },
+
+  // Logical point → client px (for DOM overlays)
+  toScreen(x, y) {
+    return { x: this.rect.left + x * this.scale, y: this.rect.top + y * this.scale };
+  },
+
+  // Client px → logical point (for pointer / touch input)
+  toCanvas(clientX, clientY) {
+    return { x: (clientX - this.rect.left) / this.scale, y: (clientY - this.rect.top) / this.scale };
+  },
 
-const W = canvas.width;
-const H = canvas.height;
+  onChange(fn) {
+    this.listeners.push(fn);
+  },
+
+  notify() {
+    for (const fn of this.listeners) fn();
+  },
+
+  // devicePixelRatio changes (zoom, window dragged to another display) don't
+  // always fire resize
+  watchDpr() {
+    if (this._dprQuery?.dpr === this.dpr || !window.matchMedia) return;
+    this._dprQuery?.mq.removeEventListener("change", this._dprQuery.fn);
+    const mq = window.matchMedia(`(resolution: ${this.dpr}dppx)`);
+    const fn = () => this.fit();
+    mq.addEventListener("change", fn);
+    this._dprQuery = { dpr: this.dpr, mq, fn };
+  },
+
+  isFullscreen() {
+    return Boolean(document.fullscreenElement);
+  },
+
+  // Fullscreen button, bottom-right corner of the picture
+  placeButton() {
+    const btn = document.getElementById("fullscreenBtn");
+    if (!btn) return;
+    btn.style.display = document.fullscreenEnabled ? "block" : "none";
+    if (!document.fullscreenEnabled) return;
+    btn.textContent = this.isFullscreen() ? "Exit fullscreen" : "Fullscreen";
+    btn.style.left = `${Math.round(this.rect.left + this.rect.width - 10 - btn.offsetWidth)}px`;
+    btn.style.top = `${Math.round(this.rect.top + this.rect.height - 10 - btn.offsetHeight)}px`;
+  },
+
+  toggleFullscreen() {
+    if (!document.fullscreenEnabled) return;
+    // The whole page, so the DOM overlays come along
+    const req = this.isFullscreen()
+      ? document.exitFullscreen()
+      : document.documentElement.requestFullscreen();
+    req?.catch?.((e) => console.warn("[VIEW] fullscreen failed:", e.message));
+  },
+};
 
 // Logical floor (never drawn)
 const FLOOR_Y = 600;
@@ -36,13 +170,178 @@ const WALK_BOB_PX = 0; // 0 disables
 const HOME_DROP_OFFSET_X = 40; // px → + right, - left
 // -------------------------------------------
 
-// -------- FOREGROUND PARALLAX ONLY --------
-const FG_ZOOM = 1.02;
-const FG_FOLLOW = 0.55;
-const MAX_PAN_PX = 55;
-// -------------------------------------------
+// =========================
+// AUDIO MIXER
+// =========================
+// Every sound goes through one mixer. A channel (one audio element) feeds a
+// bus, every bus feeds master:
+//
+//   channel gain → bus level → bus duck → master → speakers
+//
+// Buses: "ambient" (HOME + level loops), "sfx" (HOME overlay, cues, script
+// sounds), "radio". Gains only move through MIXER.fade / MIXER.set /
+// MIXER.duck; a new ramp on a gain replaces the running one, so two callers
+// can no longer fight over the same element.volume.
+//
+// Our own files run through Web Audio nodes. Radio streams are mostly
+// cross-origin without CORS, which Web Audio plays back as silence, so those
+// are "direct" channels: the mixer writes the same product of gains to their
+// element.volume every frame instead.
+
+// A gain that ramps linearly. Tracked in JS (direct channels read it every
+// frame) and mirrored to an AudioParam when it has one.
+function createFader(value, param = null) {
+  if (param) param.value = value;
+  return { from: value, to: value, t0: 0, t1: 0, param };
+}
+
+function faderValue(f, now = performance.now()) {
+  if (now >= f.t1) return f.to;
+  return f.from + (f.to - f.from) * ((now - f.t0) / (f.t1 - f.t0));
+}
+
+function rampFader(f, target, ms, ctx) {
+  const now = performance.now();
+  const from = faderValue(f, now);
+  const dur = Math.max(0, Number(ms) || 0);
+  Object.assign(f, { from, to: target, t0: now, t1: now + dur });
+
+  if (!f.param || !ctx) return;
+  const t = ctx.currentTime;
+  f.param.cancelScheduledValues(t);
+  if (dur > 0) {
+    f.param.setValueAtTime(from, t);
+    f.param.linearRampToValueAtTime(target, t + dur / 1000);
+  } else {
+    f.param.setValueAtTime(target, t);
+  }
+}
+
+const MIXER = {
+  ctx: null,        // AudioContext (null where Web Audio is missing: all channels go direct)
+  master: null,     // fader
+  buses: {},        // name -> { level, duck (faders), input: GainNode|null, ducks: Set }
+  direct: new Set(),
+  _raf: 0,
+
+  init() {
+    if (this.master) return;
+    const AC = window.AudioContext || window.webkitAudioContext;
+    this.ctx = AC ? new AC() : null;
+    const gainNode = () => (this.ctx ? this.ctx.createGain() : null);
+
+    const masterNode = gainNode();
+    masterNode?.connect(this.ctx.destination);
+    this.master = createFader(1, masterNode?.gain);
+
+    for (const name of ["ambient", "sfx", "radio"]) {
+      const level = gainNode();
+      const duck = gainNode();
+      if (level) level.connect(duck).connect(masterNode);
+      this.buses[name] = {
+        level: createFader(1, level?.gain),
+        duck: createFader(1, duck?.gain),
+        input: level,
+        ducks: new Set(),
+      };
+    }
+  },
+
+  bus(name) {
+    this.init();
+    return this.buses[name];
+  },
+
+  // Browsers keep the context suspended until a user gesture (see listeners below)
+  resume() {
+    this.init();
+    if (this.ctx?.state === "suspended") this.ctx.resume().catch(() => {});
+  },
+
+  // Route an audio element into a bus; returns the channel to fade/set.
+  channel(busName, el, { direct = false, gain = 0 } = {}) {
+    const bus = this.bus(busName);
+    const ch = { bus, el, node: null, fader: null, stopTimer: 0 };
+    if (!direct && this.ctx) {
+      ch.node = this.ctx.createGain();
+      this.ctx.createMediaElementSource(el).connect(ch.node).connect(bus.input);
+      el.volume = 1;
+    } else {
+      this.direct.add(ch);
+      this.startDirectTick();
+    }
+    ch.fader = createFader(gain, ch.node?.gain);
+    return ch;
+  },
+
+  // Ramp a channel to target over ms; stopWhenZero pauses its element once silent.
+  fade(ch, target, ms = 0, { stopWhenZero = false } = {}) {
+    clearTimeout(ch.stopTimer);
+    rampFader(ch.fader, clamp(Number(target), 0, 1), ms, this.ctx);
+    if (stopWhenZero && target <= 0.001) {
+      ch.stopTimer = setTimeout(() => { try { ch.el.pause(); } catch (_) {} }, ms);
+    }
+  },
+
+  set(ch, value) {
+    this.fade(ch, value, 0);
+  },
+
+  // The gain a channel is at or heading to
+  target(ch) {
+    return ch.fader.to;
+  },
+
+  setBusLevel(name, value, ms = 0) {
+    rampFader(this.bus(name).level, clamp(Number(value), 0, 1), ms, this.ctx);
+  },
+
+  setMaster(value, ms = 0) {
+    this.init();
+    rampFader(this.master, clamp(Number(value), 0, 1), ms, this.ctx);
+  },
+
+  // Dip a bus to gain while something plays; returns release(). Overlapping
+  // ducks on one bus use the deepest.
+  duck(name, gain, { attackMs = 250, releaseMs = 600 } = {}) {
+    const bus = this.bus(name);
+    const d = { gain: clamp(Number(gain), 0, 1) };
+    bus.ducks.add(d);
+    this.applyDucks(bus, attackMs);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      bus.ducks.delete(d);
+      this.applyDucks(bus, releaseMs);
+    };
+  },
+
+  applyDucks(bus, ms) {
+    const target = Math.min(1, ...[...bus.ducks].map((d) => d.gain));
+    rampFader(bus.duck, target, ms, this.ctx);
+  },
+
+  // Direct channels: element.volume = channel × bus level × bus duck × master
+  startDirectTick() {
+    if (this._raf) return;
+    const tick = () => {
+      const now = performance.now();
+      const m = faderValue(this.master, now);
+      for (const ch of this.direct) {
+        const v = faderValue(ch.fader, now) * faderValue(ch.bus.level, now) * faderValue(ch.bus.duck, now) * m;
+        ch.el.volume = clamp(v, 0, 1);
+      }
+      this._raf = requestAnimationFrame(tick);
+    };
+    this._raf = requestAnimationFrame(tick);
+  },
+};
 
-const DEFAULT_LAYER_FPS = 12;
+for (const type of ["keydown", "pointerdown", "touchstart"]) {
+  window.addEventListener(type, () => MIXER.resume(), { passive: true });
+}
 
 // =========================
 // HOME AMBIENT AUDIO (NEW)
@@ -52,7 +351,7 @@ const HOME_AUDIO = {
   ambientSrc: "assets/audio/home_ambient.mp3",
 
   ambient: null,
-  _fadeRaf: 0,
+  channel: null,  // MIXER channel on the "ambient" bus
 
   init() {
     if (this.ambient) return;
@@ -60,42 +359,9 @@ const HOME_AUDIO = {
     const a = new Audio(this.ambientSrc);
     a.preload = "auto";
     a.loop = true;
-    a.volume = 0;           // start silent, fade in on Enter
     a.crossOrigin = "anonymous";
     this.ambient = a;
-  },
-
-  // Smooth volume ramp using rAF
-  fadeTo(audio, targetVol, durationMs = 1000, { stopWhenZero = false } = {}) {
-    if (!audio) return;
-
-    // cancel any existing fade
-    if (this._fadeRaf) cancelAnimationFrame(this._fadeRaf);
-
-    const startVol = Number(audio.volume || 0);
-    const target = Math.max(0, Math.min(1, Number(targetVol)));
-    const dur = Math.max(1, Number(durationMs));
-    const t0 = performance.now();
-
-    const tick = (t) => {
-      const u = Math.max(0, Math.min(1, (t - t0) / dur));
-      // easeInOut (smooth)
-      const eased = u < 0.5 ? 2 * u * u : 1 - Math.pow(-2 * u + 2, 2) / 2;
-      audio.volume = startVol + (target - startVol) * eased;
-
-      if (u < 1) {
-        this._fadeRaf = requestAnimationFrame(tick);
-      } else {
-        audio.volume = target;
-        this._fadeRaf = 0;
-
-        if (stopWhenZero && audio.volume <= 0.001) {
-          try { audio.pause(); } catch (_) {}
-        }
-      }
-    };
-
-    this._fadeRaf = requestAnimationFrame(tick);
+    this.channel = MIXER.channel("ambient", a); // starts silent, fades in on Enter
   },
 
   // Called on Enter (user gesture)
@@ -106,28 +372,27 @@ const HOME_AUDIO = {
 
     // If already playing, just fade up
     if (!a.paused) {
-      this.fadeTo(a, target, fadeMs);
+      MIXER.fade(this.channel, target, fadeMs);
       return;
     }
 
-    // Ensure volume is 0 before play, then fade in
-    a.volume = 0;
+    // Ensure silence before play, then fade in
+    MIXER.set(this.channel, 0);
+    MIXER.resume();
 
     try {
       await a.play(); // should succeed because called from Enter gesture
-      this.fadeTo(a, target, fadeMs);
+      MIXER.fade(this.channel, target, fadeMs);
     } catch (e) {
       // If blocked for any reason, fail silently (you still have radio later)
       console.warn("[HOME_AUDIO] Ambient play blocked:", e);
     }
   },
 
-  // Called when leaving HOME phase 3 -> phase 5 (crossfade moment)
+  // HOME step action "ambientStop" (intro: start2 -> idle crossfade moment)
   stopAmbient({ fadeMs = 1200 } = {}) {
     this.init();
-    const a = this.ambient;
-    if (!a) return;
-    this.fadeTo(a, 0, fadeMs, { stopWhenZero: true });
+    MIXER.fade(this.channel, 0, fadeMs, { stopWhenZero: true });
   },
 };
 
@@ -139,7 +404,12 @@ const HOME_OVERLAY = {
   // assets/audio/home_overlay.mp3
   src: "assets/audio/home_overlay.mp3",
 
+  // The radio dips to this while the overlay plays
+  radioDuck: 0.3,
+
   audio: null,
+  channel: null,       // MIXER channel on the "sfx" bus
+  releaseDuck: null,
 
   init() {
     if (this.audio) return;
@@ -147,9 +417,10 @@ const HOME_OVERLAY = {
     const a = new Audio(this.src);
     a.preload = "auto";
     a.loop = false;
-    a.volume = 1.0;
     a.crossOrigin = "anonymous";
+    a.addEventListener("ended", () => this.endDuck());
     this.audio = a;
+    this.channel = MIXER.channel("sfx", a);
   },
 
   async playOnce({ volume = 1.0 } = {}) {
@@ -160,9 +431,12 @@ const HOME_OVERLAY = {
     try {
       a.pause();
       a.currentTime = 0;
-      a.volume = Math.max(0, Math.min(1, volume));
+      MIXER.set(this.channel, volume);
+      MIXER.resume();
+      if (!this.releaseDuck) this.releaseDuck = MIXER.duck("radio", this.radioDuck);
       await a.play();
     } catch (e) {
+      this.endDuck();
       console.warn("[HOME_OVERLAY] play blocked:", e);
     }
   },
@@ -173,6 +447,94 @@ const HOME_OVERLAY = {
       this.audio.pause();
       this.audio.currentTime = 0;
     } catch (_) {}
+    this.endDuck();
+  },
+
+  endDuck() {
+    this.releaseDuck?.();
+    this.releaseDuck = null;
+  },
+};
+
+// =========================
+// LEVEL AUDIO (ambient loops + layer sound cues)
+// =========================
+// Gameplay levels may declare, with paths relative to assets/levels/<id>/:
+//   ambient: { src, volume?: 0.5, fadeMs?: 1500 }
+//     looped while the hero is on the level; crossfades into the next level's
+//     ambient (or into silence) on every level change
+//   overlays[i].sound / underlays[i].sound: { src, on?: "start", volume?: 1, x? }
+//     on — "start": the layer's first play-through on this visit
+//                   (e.g. a "once" layer reaching its startMs)
+//          "cycle": every play-through (each repetition of an intermittent layer)
+//     x  — where the sound comes from in the level (default: its center); panned
+//          left/right relative to the hero when it fires
+// Ambients play on the mixer's "ambient" bus and cues on "sfx"; both dip
+// under the radio while it is live (RADIO.levelDuck).
+const LEVEL_AUDIO = {
+  current: null,   // ambient entry playing now: { audio, volume, fadeMs, channel }
+
+  startAmbient(entry) {
+    if (!entry.channel) entry.channel = MIXER.channel("ambient", entry.audio);
+    if (!entry.audio.paused) {
+      MIXER.fade(entry.channel, entry.volume, entry.fadeMs);
+      return;
+    }
+    MIXER.set(entry.channel, 0);
+    entry.audio.play()
+      .then(() => MIXER.fade(entry.channel, entry.volume, entry.fadeMs))
+      .catch((e) => console.warn("[LEVEL_AUDIO] ambient play blocked:", e));
+  },
+
+  // Called from finishTransition with the entered level's assets
+  enterLevel(assets) {
+    const next = assets?.ambient || null;
+    const prev = this.current;
+    if (prev?.channel && prev !== next) {
+      MIXER.fade(prev.channel, 0, next?.fadeMs ?? prev.fadeMs, { stopWhenZero: true });
+    }
+    this.current = next;
+
+    // Level changes follow key presses, so the context may start now; decode
+    // this level's cues ahead of their first play
+    MIXER.resume();
+    if (next) this.startAmbient(next);
+    for (const layer of [...(assets?.underlays || []), ...(assets?.overlays || [])]) {
+      if (layer.sound) this.decode(layer.sound).catch(() => {});
+    }
+  },
+
+  decode(cue) {
+    if (!cue.decoded) {
+      MIXER.init();
+      cue.decoded = MIXER.ctx
+        ? MIXER.ctx.decodeAudioData(cue.data.slice(0))
+        : Promise.reject(new Error("Web Audio not available"));
+    }
+    return cue.decoded;
+  },
+
+  // Stereo position of level x as heard from the hero: -1 (left) … 1 (right)
+  panFor(x) {
+    const heroX = player.x + player.renderW / 2;
+    return clamp((x - heroX) / (W / 2), -1, 1);
+  },
+
+  async playCue(cue) {
+    try {
+      const buffer = await this.decode(cue);
+      const ctx = MIXER.ctx;
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      const pan = ctx.createStereoPanner();
+      pan.pan.value = this.panFor(cue.x ?? currentWorldW() / 2);
+      const gain = ctx.createGain();
+      gain.gain.value = cue.volume;
+      src.connect(pan).connect(gain).connect(MIXER.bus("sfx").input);
+      src.start();
+    } catch (e) {
+      warnOnce(`cue:${cue.url}`, `[LEVEL_AUDIO] sound ${cue.url} failed to play. (${e.message})`);
+    }
   },
 };
 
@@ -182,8 +544,15 @@ const HOME_OVERLAY = {
 const RADIO = {
   stations: [],
   index: 0,
+  fallback: null,       // local playlist played when every station is down (radio.json "fallback")
+  onFallback: false,
 
   audio: null,
+  channel: null,        // MIXER channel on the "radio" bus (direct: streams are cross-origin)
+
+  // Level audio (ambient + sfx buses) dips to this while the radio is live
+  levelDuck: 0.35,
+  releaseLevelDuck: null,
 
   // best-effort preload trackers
   preloads: [],
@@ -192,15 +561,47 @@ const RADIO = {
   widgetEl: null,
   nameEl: null,
   statusEl: null,
+  nowPlayingEl: null,
+  prevBtn: null,
+  nextBtn: null,
+  muteBtn: null,
+  volumeEl: null,
+  listEl: null,
+
+  // listener settings, remembered in localStorage (see loadPrefs)
+  prefsKey: "levelq.radio",
+  volume: 1.0,          // radio bus level
+  muted: false,
+  chosenStation: null,  // name of the station last picked by the listener
 
   loaded: false,
   visible: false,
 
   // playback state
-  warmStarted: false,   // stream started muted after user gesture
-  liveEnabled: false,   // we unmuted/faded in
+  playRequested: false, // warm-up asked for playback: failures move on to the next station and play it
+  warmStarted: false,   // stream started silent after user gesture
+  liveEnabled: false,   // we faded in
   switching: false,
   lastSwitchAt: 0,
+  attempt: 0,           // bumped per source change (see loadSource)
+  failedAttempt: -1,
+  trackIndex: 0,        // position in a local playlist
+  stallTimer: 0,
+
+  // station health (see markFailure)
+  backoffMs: 5000,
+  maxBackoffMs: 60000,
+  maxFailures: 3,
+  skipMs: 10 * 60 * 1000,
+  stallTimeoutMs: 10000,
+
+  // now playing (see startNowPlaying)
+  icyProxy: "",         // radio.json "icyProxy": uploader route reading ICY stream titles
+  nowPlaying: "",
+  metaIntervalMs: 15000,
+  metaTimeoutMs: 6000,
+  metaTimer: 0,
+  metaRun: 0,           // bumped by stopNowPlaying, so late answers are dropped
 
   // widget placement
   _placedOnce: false,
@@ -212,49 +613,55 @@ const RADIO = {
       const json = await res.json();
 
       const list = Array.isArray(json?.stations) ? json.stations : [];
-      this.stations = list
-        .map((s) => ({
-          name: String(s?.name || "").trim(),
-          url: String(s?.url || "").trim(),
-        }))
-        .filter((s) => s.name && s.url);
+      this.stations = list.map((s) => this.normalizeStation(s)).filter(Boolean);
+      this.fallback = this.normalizeStation(json?.fallback);
+      this.icyProxy = String(json?.icyProxy || "").trim();
+      // Only a local playlist configured: it is the station
+      if (!this.stations.length && this.fallback) this.stations = [this.fallback];
+      this.loadPrefs();
 
       this.widgetEl = document.getElementById("radioWidget");
       this.nameEl = document.getElementById("radioStationName");
       this.statusEl = document.getElementById("radioStatus");
+      this.nowPlayingEl = document.getElementById("radioNowPlaying");
+      this.bindControls();
 
       // main audio element
       this.audio = new Audio();
       this.audio.preload = "none";
-      this.audio.volume = 0;
+      this.channel = MIXER.channel("radio", this.audio, { direct: true });
 
       this.audio.addEventListener("playing", () => {
-        this.setStatus(this.liveEnabled ? "Playing" : "Prebuffering…");
+        this.clearStallWatch();
+        if (!this.onFallback) this.markHealthy(this.index);
+        this.setStatus(this.onFallback ? "All stations down – offline mix" : this.liveEnabled ? "Playing" : "Prebuffering…");
+        this.startNowPlaying();
       });
       this.audio.addEventListener("waiting", () => {
         this.setStatus(this.liveEnabled ? "Buffering…" : "Prebuffering…");
+        this.watchStall();
       });
       this.audio.addEventListener("stalled", () => {
         this.setStatus("Stalled…");
+        this.watchStall();
       });
-      this.audio.addEventListener("error", () => {
-        this.setStatus("Error… trying next");
-        this.tryNextStation(+1, { forcePlay: this.warmStarted || this.liveEnabled });
-      });
+      this.audio.addEventListener("ended", () => this.nextTrack());
+      this.audio.addEventListener("error", () => this.stationFailed("error"));
 
-      // best-effort preloads
-      this.preloads = this.stations.map((st) => {
+      // best-effort preloads (a preload that errors counts as a failure)
+      this.preloads = this.stations.map((st, i) => {
         const a = new Audio();
         a.preload = "auto";
         a.src = st.url;
         try { a.load(); } catch (_) {}
-        return { audio: a, ready: false, url: st.url };
-      });
-      this.preloads.forEach((p) => {
-        p.audio.addEventListener("canplay", () => { p.ready = true; });
+        const p = { audio: a, ready: false, url: st.url };
+        a.addEventListener("canplay", () => { p.ready = true; });
+        a.addEventListener("error", () => this.markFailure(i, "preload failed"));
+        return p;
       });
 
       this.loaded = true;
+      this.applyVolume(0);
       this.updateUI();
       this.setStatus("Ready");
     } catch (e) {
@@ -263,12 +670,34 @@ const RADIO = {
     }
   },
 
+  // radio.json station: { name, url } for a remote stream, or { name, file } /
+  // { name, playlist: [files] } for local audio (played in order, looped).
+  // url is what plays first; tracks is the playlist (null for streams).
+  // Streams may add metadataUrl / metadataPath (see fetchNowPlaying).
+  normalizeStation(s) {
+    const name = String(s?.name || "").trim();
+    const url = String(s?.url || "").trim();
+    const files = Array.isArray(s?.playlist) ? s.playlist : s?.file ? [s.file] : [];
+    const tracks = files.map((f) => String(f || "").trim()).filter(Boolean);
+    if (!name || (!url && !tracks.length)) return null;
+    return {
+      name,
+      url: url || tracks[0],
+      tracks: url ? null : tracks,
+      metadataUrl: url ? String(s?.metadataUrl || "").trim() : "",
+      metadataPath: String(s?.metadataPath || "").trim(),
+      health: { failures: 0, downUntil: 0 },
+    };
+  },
+
   // Place widget OUTSIDE the canvas, aligned with canvas top-right corner,
-  // but offset to the RIGHT so it does not overlap the canvas.
+  // but offset to the RIGHT so it does not overlap the canvas. When the
+  // canvas fills the window it sits inside the canvas's top-right corner.
   placeWidget() {
     if (!this.loaded || !this.widgetEl) return;
 
-    const rect = canvas.getBoundingClientRect();
+    const r = VIEW.rect;
+    const rect = { left: r.left, top: r.top, right: r.left + r.width, bottom: r.top + r.height };
     const gap = 12;
 
     // Measure widget (needs to be display:block at least once to measure properly)
@@ -297,6 +726,11 @@ const RADIO = {
         left = rect.left - gap - wRect.width;
       }
 
+      // No room outside at all: inside the top-right corner
+      if (left < 8) {
+        left = rect.right - gap - wRect.width;
+      }
+
       // Final clamp
       left = Math.max(8, Math.min(left, ww - wRect.width - 8));
       top = Math.max(8, Math.min(top, wh - wRect.height - 8));
@@ -318,6 +752,7 @@ const RADIO = {
     }
     // Place now (and keep updating on resize/scroll)
     this.placeWidget();
+    if (!this.audio.paused) this.startNowPlaying();
   },
 
   setStatus(text) {
@@ -331,30 +766,327 @@ const RADIO = {
       this.nameEl.textContent = "No stations";
       return;
     }
-    const s = this.stations[this.index];
+    const s = this.onFallback ? this.fallback : this.stations[this.index];
     this.nameEl.textContent = s?.name || "—";
+    this.updateControls();
+  },
+
+  // ---- Now playing ----
+  // While a stream plays and the widget shows, its title is polled every
+  // metaIntervalMs: from the station's metadataUrl, or else through the
+  // uploader's ICY proxy (radio.json "icyProxy", GET /api/icy?url=...).
+  // Only the widget text changes; playback is never touched.
+
+  nowPlayingUrl(st) {
+    if (!st || st.tracks) return "";
+    if (st.metadataUrl) return st.metadataUrl;
+    return this.icyProxy ? `${this.icyProxy}?url=${encodeURIComponent(st.url)}` : "";
   },
 
-  // Start stream early (muted) right after FIRST Enter press (user gesture).
+  startNowPlaying() {
+    if (this.metaTimer || !this.visible || this.onFallback) return;
+    const st = this.stations[this.index];
+    if (!this.nowPlayingUrl(st)) return;
+
+    const run = this.metaRun;
+    const poll = async () => {
+      const title = await this.fetchNowPlaying(st);
+      if (run !== this.metaRun) return; // station changed or radio silenced meanwhile
+      if (title !== null) this.setNowPlaying(title);
+      this.metaTimer = setTimeout(poll, this.metaIntervalMs);
+    };
+    this.metaTimer = setTimeout(poll, 0);
+  },
+
+  stopNowPlaying() {
+    this.metaRun++;
+    clearTimeout(this.metaTimer);
+    this.metaTimer = 0;
+    this.setNowPlaying("");
+  },
+
+  // Resolves the title ("" = none published), or null when the lookup failed
+  // (the last title stays up).
+  async fetchNowPlaying(st) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), this.metaTimeoutMs);
+    try {
+      const res = await fetch(this.nowPlayingUrl(st), { cache: "no-store", signal: ctrl.signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return this.parseNowPlaying(await res.text(), st.metadataPath);
+    } catch (e) {
+      warnOnce(`radio-meta:${st.name}`, `[RADIO] no now-playing for "${st.name}" (${e.message})`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  // JSON: the value at metadataPath ("icestats.source.0.title"), else its
+  // "title" (after "artist", if any). Plain text: the first line.
+  parseNowPlaying(text, metadataPath) {
+    let json;
+    try { json = JSON.parse(text); } catch (_) { return text.split("\n")[0].trim(); }
+    if (metadataPath) {
+      const v = metadataPath.split(".").reduce((o, k) => o?.[k], json);
+      return typeof v === "string" || typeof v === "number" ? String(v).trim() : "";
+    }
+    if (typeof json !== "object" || json === null) return String(json).trim();
+    const title = String(json.title ?? "").trim();
+    const artist = String(json.artist ?? "").trim();
+    return artist && title ? `${artist} – ${title}` : title;
+  },
+
+  setNowPlaying(title) {
+    this.nowPlaying = title;
+    if (!this.nowPlayingEl) return;
+    this.nowPlayingEl.textContent = title;
+    this.nowPlayingEl.title = title;
+    this.nowPlayingEl.hidden = !title;
+  },
+
+  // ---- Widget controls ----
+  // Buttons, slider and list hand focus back to the page after use, so the
+  // arrow keys keep walking the hero instead of moving the control.
+  bindControls() {
+    this.prevBtn = document.getElementById("radioPrev");
+    this.nextBtn = document.getElementById("radioNext");
+    this.muteBtn = document.getElementById("radioMute");
+    this.volumeEl = document.getElementById("radioVolume");
+    this.listEl = document.getElementById("radioStationList");
+
+    this.prevBtn?.addEventListener("click", () => { this.prevBtn.blur(); this.switchByKey(-1); });
+    this.nextBtn?.addEventListener("click", () => { this.nextBtn.blur(); this.switchByKey(+1); });
+    this.muteBtn?.addEventListener("click", () => { this.muteBtn.blur(); this.toggleMute(); });
+    this.volumeEl?.addEventListener("input", () => this.setVolume(Number(this.volumeEl.value) / 100));
+    this.volumeEl?.addEventListener("change", () => this.volumeEl.blur());
+    this.listEl?.addEventListener("change", () => {
+      this.listEl.blur();
+      this.selectStation(Number(this.listEl.value));
+    });
+
+    this.listEl?.replaceChildren(...this.stations.map((s, i) => new Option(s.name, String(i))));
+  },
+
+  updateControls() {
+    if (this.volumeEl) this.volumeEl.value = String(Math.round(this.volume * 100));
+    if (this.muteBtn) {
+      this.muteBtn.classList.toggle("is-muted", this.muted);
+      this.muteBtn.setAttribute("aria-pressed", String(this.muted));
+      this.muteBtn.setAttribute("aria-label", this.muted ? "Unmute" : "Mute");
+    }
+    if (this.listEl) this.listEl.value = String(this.index);
+  },
+
+  // ---- Volume / mute (the "radio" mixer bus; warm-up and fades stay on the channel) ----
+  applyVolume(ms = 150) {
+    MIXER.setBusLevel("radio", this.muted ? 0 : this.volume, ms);
+    this.updateControls();
+  },
+
+  setVolume(v) {
+    this.volume = clamp(Number(v) || 0, 0, 1);
+    if (this.volume > 0) this.muted = false;
+    this.applyVolume();
+    this.savePrefs();
+  },
+
+  changeVolume(delta) {
+    if (!this.loaded) return;
+    this.setVolume(Math.round((this.volume + delta) * 100) / 100);
+  },
+
+  toggleMute() {
+    if (!this.loaded) return;
+    this.muted = !this.muted;
+    this.applyVolume();
+    this.savePrefs();
+  },
+
+  // ---- Listener settings ----
+  // localStorage "levelq.radio" = { station: name, volume: 0..1, muted }.
+  // The station is stored by name so reordering radio.json keeps it.
+  loadPrefs() {
+    let prefs = null;
+    try { prefs = JSON.parse(localStorage.getItem(this.prefsKey) || "null"); } catch (_) {}
+    if (!prefs || typeof prefs !== "object") return;
+
+    const v = Number(prefs.volume);
+    if (Number.isFinite(v)) this.volume = clamp(v, 0, 1);
+    this.muted = prefs.muted === true;
+
+    const i = this.stations.findIndex((s) => s.name === prefs.station);
+    if (i >= 0) {
+      this.index = i;
+      this.chosenStation = prefs.station;
+    }
+  },
+
+  savePrefs() {
+    try {
+      localStorage.setItem(this.prefsKey, JSON.stringify({
+        station: this.chosenStation,
+        volume: this.volume,
+        muted: this.muted,
+      }));
+    } catch (_) {}
+  },
+
+  // The listener ended up on the current station (Q/W, buttons, list)
+  rememberStation() {
+    if (this.onFallback || !this.stations[this.index]) return;
+    this.chosenStation = this.stations[this.index].name;
+    this.savePrefs();
+  },
+
+  // ---- Station health ----
+  // Each failure (error, fast-fail timeout, long stall) backs a station off
+  // for backoffMs × 2^(failures − 1), capped at maxBackoffMs. After
+  // maxFailures in a row it is skipped for skipMs. Playing resets it.
+  // When every station is backing off the local fallback playlist plays.
+
+  markFailure(i, reason) {
+    const st = this.stations[i];
+    if (!st) return;
+    const h = st.health;
+    h.failures++;
+    const backoff = h.failures >= this.maxFailures
+      ? this.skipMs
+      : Math.min(this.backoffMs * 2 ** (h.failures - 1), this.maxBackoffMs);
+    h.downUntil = performance.now() + backoff;
+    console.warn(`[RADIO] "${st.name}" failed (${reason}) ×${h.failures} — retry in ${Math.round(backoff / 1000)}s`);
+  },
+
+  markHealthy(i) {
+    const h = this.stations[i]?.health;
+    if (h) { h.failures = 0; h.downUntil = 0; }
+  },
+
+  isAvailable(i) {
+    return performance.now() >= this.stations[i].health.downUntil;
+  },
+
+  // Next station after the current one (in direction) that isn't backing off, or -1
+  nextAvailableIndex(direction) {
+    const n = this.stations.length;
+    const step = direction >= 0 ? 1 : -1;
+    for (let k = 1; k <= n; k++) {
+      const i = (((this.index + step * k) % n) + n) % n;
+      if (this.isAvailable(i)) return i;
+    }
+    return -1;
+  },
+
+  // Point the element at a station's first source. Bumps attempt, so late
+  // failures of the previous source are ignored.
+  loadSource(station) {
+    this.attempt++;
+    this.trackIndex = 0;
+    this.clearStallWatch();
+    this.stopNowPlaying();
+    this.audio.pause();
+    this.audio.loop = station.tracks?.length === 1;
+    this.audio.src = station.url;
+    try { this.audio.load(); } catch (_) {}
+  },
+
+  // Local playlists move on to their next track
+  nextTrack() {
+    const st = this.onFallback ? this.fallback : this.stations[this.index];
+    if (!st?.tracks || st.tracks.length < 2) return;
+    this.trackIndex = (this.trackIndex + 1) % st.tracks.length;
+    this.audio.src = st.tracks[this.trackIndex];
+    this.audio.play().catch(() => {});
+  },
+
+  // Buffering that never recovers counts as a failure
+  watchStall() {
+    if (this.stallTimer || !this.playRequested) return;
+    const attempt = this.attempt;
+    this.stallTimer = setTimeout(() => {
+      this.stallTimer = 0;
+      this.stationFailed("stalled", attempt);
+    }, this.stallTimeoutMs);
+  },
+
+  clearStallWatch() {
+    clearTimeout(this.stallTimer);
+    this.stallTimer = 0;
+  },
+
+  // The current source failed: back its station off and move on (once per attempt)
+  async stationFailed(reason, attempt = this.attempt) {
+    if (attempt !== this.attempt || this.failedAttempt === attempt) return;
+    this.failedAttempt = attempt;
+    this.clearStallWatch();
+
+    if (this.onFallback) {
+      console.warn(`[RADIO] offline mix failed (${reason})`);
+      this.setStatus("All stations down");
+      return;
+    }
+    this.markFailure(this.index, reason);
+    this.setStatus("Failed… trying next");
+    await this.tryNextStation(+1, { forcePlay: this.playRequested || this.liveEnabled });
+  },
+
+  // Every station is backing off: play the local fallback playlist, if any
+  async enterFallback() {
+    console.warn("[RADIO] all stations down");
+    if (!this.fallback || this.fallback === this.stations[0]) {
+      this.audio.pause();
+      this.onFallback = false;
+      this.updateUI();
+      this.setStatus("All stations down");
+      return;
+    }
+
+    this.onFallback = true;
+    this.updateUI();
+    this.loadSource(this.fallback);
+    const attempt = this.attempt;
+    try {
+      await this.audio.play();
+      this.warmStarted = true;
+      this.setStatus("All stations down – offline mix");
+    } catch (e) {
+      this.stationFailed(String(e?.name || e?.message || e), attempt);
+    }
+  },
+
+  // Start stream early (silent) right after FIRST Enter press (user gesture).
   async warmUpFromGesture() {
     if (!this.loaded || !this.audio || !this.stations.length) return;
     if (this.warmStarted) return;
+    this.playRequested = true;
+
+    // the listener's own station if it's up, else the first “ready-looking”
+    // healthy preload, else the first healthy station
+    const chosenIndex = this.stations.findIndex((s) => s.name === this.chosenStation);
+    const firstReadyIndex = this.preloads.findIndex((p, i) => p.ready && this.isAvailable(i));
+    if (chosenIndex >= 0 && this.isAvailable(chosenIndex)) {
+      this.index = chosenIndex;
+    } else if (firstReadyIndex >= 0) {
+      this.index = firstReadyIndex;
+    } else if (!this.isAvailable(this.index)) {
+      const next = this.nextAvailableIndex(+1);
+      if (next === -1) {
+        MIXER.set(this.channel, 0);
+        await this.enterFallback();
+        return;
+      }
+      this.index = next;
+    }
 
-    // pick first “ready-looking” preload if any, else first in order
-    const firstReadyIndex = this.preloads.findIndex((p) => p.ready);
-    if (firstReadyIndex >= 0) this.index = firstReadyIndex;
-
+    this.onFallback = false;
     this.updateUI();
     this.setStatus("Prebuffering…");
 
+    this.loadSource(this.stations[this.index]);
+    const attempt = this.attempt;
     try {
-      this.audio.pause();
-      this.audio.src = this.stations[this.index].url;
-      try { this.audio.load(); } catch (_) {}
-
-      // start muted (volume 0) so it can buffer/play in background
-      this.audio.muted = true;
-      this.audio.volume = 0;
+      // start silent so it can buffer/play in background
+      MIXER.set(this.channel, 0);
 
       await this.audio.play(); // should succeed because it's called on Enter gesture
       this.warmStarted = true;
@@ -365,14 +1097,13 @@ const RADIO = {
         // In case Enter gesture wasn't considered (rare), we'll still try later
         this.setStatus("Warmup blocked");
       } else {
-        this.setStatus("Warmup failed…");
         // try next quickly
-        await this.tryNextStation(+1, { forcePlay: true });
+        await this.stationFailed(msg, attempt);
       }
     }
   },
 
-  // When you reach HOME idle (state 4), show widget and fade audio in.
+  // HOME step action "radioGoLive" (intro idle step): show widget and fade audio in.
   async goLive() {
     if (!this.loaded || !this.audio || !this.stations.length) return;
 
@@ -387,8 +1118,7 @@ const RADIO = {
     if (this.audio.paused) {
       this.setStatus("Starting…");
       try {
-        this.audio.muted = true;
-        this.audio.volume = 0;
+        MIXER.set(this.channel, 0);
         await this.audio.play();
         this.warmStarted = true;
       } catch (e) {
@@ -397,28 +1127,22 @@ const RADIO = {
       }
     }
 
-    // Fade in
+    // Fade in, with level audio going under it
     this.liveEnabled = true;
-    this.audio.muted = false;
-    this.setStatus("Playing");
-
-    const target = 1.0;
-    const step = 0.06;     // per tick
-    const intervalMs = 60; // fade speed
-
-    // start from current volume
-    if (this.audio.volume < 0.01) this.audio.volume = 0;
-
-    const fade = setInterval(() => {
-      if (!this.audio) return clearInterval(fade);
-      const v = this.audio.volume;
-      if (v >= target - 0.02) {
-        this.audio.volume = target;
-        clearInterval(fade);
-      } else {
-        this.audio.volume = Math.min(target, v + step);
-      }
-    }, intervalMs);
+    this.setStatus(this.onFallback ? "All stations down – offline mix" : "Playing");
+    MIXER.fade(this.channel, 1.0, 1000);
+    if (!this.releaseLevelDuck) {
+      const releases = ["ambient", "sfx"].map((bus) => MIXER.duck(bus, this.levelDuck, { attackMs: 1000 }));
+      this.releaseLevelDuck = () => releases.forEach((release) => release());
+    }
+  },
+
+  // Silence the stream (outro, walk reset); level audio comes back up
+  silence() {
+    if (this.channel) MIXER.set(this.channel, 0);
+    this.stopNowPlaying();
+    this.releaseLevelDuck?.();
+    this.releaseLevelDuck = null;
   },
 
   async playIndexWithFastFail(i) {
@@ -426,37 +1150,50 @@ const RADIO = {
 
     this.index = ((i % this.stations.length) + this.stations.length) % this.stations.length;
     const station = this.stations[this.index];
+    this.onFallback = false;
     this.updateUI();
 
+    this.loadSource(station);
+    const attempt = this.attempt;
     try {
-      this.audio.pause();
-      this.audio.src = station.url;
-      try { this.audio.load(); } catch (_) {}
-
-      // keep current mute/volume policy (warm or live)
+      // keep current volume policy (warm or live)
       const playPromise = this.audio.play();
 
       const fastFailMs = 1800;
-      const fastFail = new Promise((_, rej) => setTimeout(() => rej(new Error("timeout")), fastFailMs));
-      await Promise.race([playPromise, fastFail]);
+      let fastFailTimer = 0;
+      const fastFail = new Promise((_, rej) => {
+        fastFailTimer = setTimeout(() => rej(new Error("timeout")), fastFailMs);
+      });
+      try {
+        await Promise.race([playPromise, fastFail]);
+      } finally {
+        // Whichever settled first, no timer is left behind
+        clearTimeout(fastFailTimer);
+      }
 
       this.setStatus(this.liveEnabled ? "Playing" : "Prebuffering…");
       this.warmStarted = true;
     } catch (e) {
-      this.setStatus("Failed… trying next");
-      await this.tryNextStation(+1, { forcePlay: true });
+      const msg = String(e?.name || e?.message || e);
+      if (msg.includes("NotAllowedError")) {
+        this.setStatus("Autoplay blocked (press Q/W)");
+        return;
+      }
+      await this.stationFailed(msg, attempt);
     }
   },
 
   async tryNextStation(direction, { forcePlay }) {
     if (!this.loaded || !this.stations.length) return;
 
-    const now = performance.now();
-    if (now - this.lastSwitchAt < 120) return;
-    this.lastSwitchAt = now;
-
-    const next = this.index + (direction >= 0 ? 1 : -1);
-    this.index = ((next % this.stations.length) + this.stations.length) % this.stations.length;
+    const next = this.nextAvailableIndex(direction);
+    if (next === -1) {
+      if (forcePlay) await this.enterFallback();
+      else this.setStatus("All stations down");
+      return;
+    }
+    this.index = next;
+    this.onFallback = false;
     this.updateUI();
 
     if (forcePlay) {
@@ -464,39 +1201,77 @@ const RADIO = {
       return;
     }
 
-    if (this.audio) {
-      this.audio.pause();
-      this.audio.src = this.stations[this.index].url;
-      try { this.audio.load(); } catch (_) {}
-    }
+    if (this.audio) this.loadSource(this.stations[this.index]);
     this.setStatus("Selected");
   },
 
   async switchByKey(direction) {
     if (!this.loaded || !this.stations.length) return;
 
+    const now = performance.now();
+    if (now - this.lastSwitchAt < 120) return;
+    this.lastSwitchAt = now;
+
     this.ensureVisible();
 
-    // switching is a user gesture, so try play loudly if live, or keep muted if not live yet
+    // Asking for a station while everything is down retries them all once
+    // (failure counts are kept, so they back off longer if still down)
+    if (this.onFallback || this.nextAvailableIndex(direction) === -1) {
+      for (const st of this.stations) st.health.downUntil = 0;
+    }
+
+    // switching is a user gesture, so try play loudly if live, or keep silent if not live yet
     await this.tryNextStation(direction, { forcePlay: true });
+    this.afterUserSwitch();
+  },
+
+  // Jump straight to station i (widget station list)
+  async selectStation(i) {
+    if (!this.loaded || !this.stations[i]) return;
+
+    this.ensureVisible();
+    this.stations[i].health.downUntil = 0; // asked for by name: try it now
+    await this.playIndexWithFastFail(i);
+    this.afterUserSwitch();
+  },
 
-    // if user is already in “live” phase, ensure unmuted
+  afterUserSwitch() {
+    this.rememberStation();
+
+    // if user is already in “live” phase, ensure audible
     if (this.liveEnabled && this.audio) {
-      this.audio.muted = false;
-      if (this.audio.volume < 0.2) this.audio.volume = 0.6;
-      this.setStatus("Playing");
+      if (MIXER.target(this.channel) < 0.2) MIXER.fade(this.channel, 0.6, 300);
+      if (!this.onFallback) this.setStatus("Playing");
     }
   },
 };
 
-// keep widget aligned when page scrolls/resizes (important if you have centered layout)
-window.addEventListener("resize", () => { RADIO.placeWidget(); repositionMobileUI(); checkOrientation(); });
-window.addEventListener("scroll", () => RADIO.placeWidget(), { passive: true });
+// keep widget aligned when the canvas moves or resizes (see VIEW)
+VIEW.onChange(() => RADIO.placeWidget());
 
 // =========================
 
 let CAROUSEL_EXCLUDED_LEVELS = []; // loaded from data/carousel.json — edit excludedLevels there
 
+// Carousel weighting — loaded from data/carousel.json (defaults = uniform, no special rules)
+// A level's weight is 1 / rarity^rarityExponent, so rarer levels are drawn less often and later.
+// special.maxPerLoop: at most N "special" levels per loop (-1 = unlimited)
+// special.minLevelsBefore: a "special" level is only drawn once N levels are already in the loop
+const CAROUSEL_WEIGHTING = {
+  rarityExponent: 1,
+  special: { maxPerLoop: -1, minLevelsBefore: 0 },
+};
+
+// How the loop is drawn — carousel.json strategy / order / themes / loopLength (see carousel.js)
+// loopLength: a loop is N levels instead of all of them (0 = all)
+const CAROUSEL_STRATEGIES = ["random", "fixed", "daily", "themed"];
+const CAROUSEL_STRATEGY = {
+  name: "random",
+  order: [],
+  themes: [],
+  loopLength: 0,
+};
+
 let levelData = [];
 let heroIdleFrames = [];
 let heroWalkFrames = [];
@@ -514,10 +1289,14 @@ const state = {
   transitioning: false,
   transitionUntil: 0,
   lastEdge: null,
+  // Transition in progress (see triggerEdge): { type, durationMs, startedAt, fromIndex, toIndex, … }
+  transition: null,
 
   // Carousel stores LEVEL INDICES (not ids)
   carousel: [],
   carouselPos: 0,
+  // Order a "fixed" / "themed" loop is laid out in (see carousel.js preferredOrder)
+  loopOrder: undefined,
 
   // Home index in levelData (or -1)
   homeIndex: -1,
@@ -536,6 +1315,10 @@ const state = {
 
   // Track which level indices the player has actually set foot on
   visitedLevels: new Set(),
+  // Visits per level id in the current walk (cutscene "visit" triggers)
+  visitCounts: new Map(),
+  // Level ids whose cutscene already played in the current walk
+  cutscenesPlayed: new Set(),
 
   // Debug: only HOME in carousel (no other levels)
   homeOnly: false,
@@ -561,31 +1344,351 @@ const input = {
   arrowPressedThisFrame: false,
 };
 
-// ----------------- INPUT -----------------
-window.addEventListener("keydown", (e) => {
-  if (e.key === "ArrowLeft") input.left = true;
-  if (e.key === "ArrowRight") input.right = true;
+// =========================
+// CONTROLS (named actions)
+// =========================
+// Keyboard, gamepad and touch all drive the same actions; `input` above is
+// derived from them (an action is down while any device holds it, and its
+// *PressedThisFrame flag is raised when a device starts holding it).
+// Key and gamepad bindings can be changed in the controls panel (C) and are
+// remembered in localStorage "levelq.controls" =
+//   { keys: { action: [KeyboardEvent.key…] }, buttons: { action: [button index…] } }
+// Buttons use the standard gamepad mapping; the left stick always walks.
+const ACTIONS = ["moveLeft", "moveRight", "confirm", "radioPrev", "radioNext"];
+
+const ACTION_LABELS = {
+  moveLeft: "Walk left",
+  moveRight: "Walk right",
+  confirm: "Confirm",
+  radioPrev: "Previous station",
+  radioNext: "Next station",
+};
 
-  if (e.key === "Enter") {
-    if (!input.enter) input.enterPressedThisFrame = true;
-    input.enter = true;
-  }
+// Keys handled outside the actions (radio volume / mute, journal, fullscreen,
+// this panel); they can't be bound
+const FIXED_KEYS = ["Escape", "-", "_", "=", "+", "m", "j", "f", "c"];
+
+// Standard mapping button names, by index
+const PAD_BUTTON_NAMES = [
+  "A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start",
+  "L3", "R3", "D-pad ↑", "D-pad ↓", "D-pad ←", "D-pad →", "Home",
+];
+
+const CONTROLS = {
+  prefsKey: "levelq.controls",
+
+  defaults: {
+    keys: {
+      moveLeft: ["ArrowLeft"],
+      moveRight: ["ArrowRight"],
+      confirm: ["Enter"],
+      radioPrev: ["q"],
+      radioNext: ["w"],
+    },
+    buttons: {
+      moveLeft: [14],
+      moveRight: [15],
+      confirm: [0, 9],
+      radioPrev: [4],
+      radioNext: [5],
+    },
+  },
+  keys: {},
+  buttons: {},
 
-  if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
-    input.arrowPressedThisFrame = true;
-  }
+  stickDeadzone: 0.5,
 
-  // Radio controls (Q/W)
-  if (e.key === "q" || e.key === "Q") RADIO.switchByKey(-1);
-  if (e.key === "w" || e.key === "W") RADIO.switchByKey(+1);
+  // Actions held per device
+  held: { keyboard: new Set(), touch: new Set(), gamepad: new Set() },
+  padPressed: new Set(), // button indices down on any pad last poll
+
+  // Controls panel
+  panelEl: null,
+  panelOpen: false,
+  listening: null,       // { action, device: "key" | "pad" } while rebinding
+
+  init() {
+    this.keys = cloneBindings(this.defaults.keys);
+    this.buttons = cloneBindings(this.defaults.buttons);
+    this.loadPrefs();
+    this.refreshHints();
+
+    window.addEventListener("gamepadconnected", (e) => console.log(`[CONTROLS] gamepad connected: ${e.gamepad.id}`));
+    window.addEventListener("gamepaddisconnected", () => this.releaseAll("gamepad"));
+
+    this.panelEl = document.getElementById("controlsPanel");
+    this.panelEl?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      btn.blur();
+      if (btn.dataset.action) this.listen(btn.dataset.action, btn.dataset.device);
+      else if (btn.id === "controlsReset") this.reset();
+      else if (btn.id === "controlsClose") this.togglePanel();
+    });
+  },
+
+  // ---- Bindings ----
+  // Keys are matched case-insensitively ("q" and "Q")
+  actionForKey(key) {
+    const k = normalizeKey(key);
+    return ACTIONS.find((a) => this.keys[a].includes(k)) || null;
+  },
+
+  bindKey(action, key) {
+    const k = normalizeKey(key);
+    if (FIXED_KEYS.includes(k)) return false;
+    for (const a of ACTIONS) this.keys[a] = this.keys[a].filter((x) => x !== k);
+    this.keys[action] = [k];
+    this.savePrefs();
+    return true;
+  },
+
+  bindButton(action, index) {
+    for (const a of ACTIONS) this.buttons[a] = this.buttons[a].filter((x) => x !== index);
+    this.buttons[action] = [index];
+    this.savePrefs();
+  },
+
+  reset() {
+    this.keys = cloneBindings(this.defaults.keys);
+    this.buttons = cloneBindings(this.defaults.buttons);
+    this.listening = null;
+    this.savePrefs();
+    this.renderPanel();
+  },
+
+  loadPrefs() {
+    let prefs = null;
+    try { prefs = JSON.parse(localStorage.getItem(this.prefsKey) || "null"); } catch (_) {}
+    if (!prefs || typeof prefs !== "object") return;
+
+    // Same rules as bindKey / bindButton: fixed keys can't be bound, and a key
+    // or button drives one action only (the first that lists it)
+    const claimedKeys = new Set(FIXED_KEYS);
+    const claimedButtons = new Set();
+    for (const a of ACTIONS) {
+      const keys = prefs.keys?.[a];
+      const keysOk = Array.isArray(keys) && keys.every((k) => typeof k === "string" && k);
+      this.keys[a] = claimFree(keysOk ? keys.map(normalizeKey) : this.keys[a], claimedKeys);
+      const buttons = prefs.buttons?.[a];
+      const buttonsOk = Array.isArray(buttons) && buttons.every((b) => Number.isInteger(b) && b >= 0);
+      this.buttons[a] = claimFree(buttonsOk ? buttons : this.buttons[a], claimedButtons);
+    }
+  },
+
+  savePrefs() {
+    try {
+      localStorage.setItem(this.prefsKey, JSON.stringify({ keys: this.keys, buttons: this.buttons }));
+    } catch (_) {}
+    this.refreshHints();
+  },
+
+  // Radio widget hint follows the station keys
+  refreshHints() {
+    const hint = document.querySelector("#radioWidget .hint");
+    if (hint) hint.textContent = `${this.keyLabel("radioPrev")} / ${this.keyLabel("radioNext")} · − / + · M`;
+  },
+
+  keyLabel(action) {
+    return this.keys[action].map(keyName).join(" / ") || "—";
+  },
+
+  buttonLabel(action) {
+    return this.buttons[action].map((i) => PAD_BUTTON_NAMES[i] || `Button ${i}`).join(" / ") || "—";
+  },
+
+  // ---- Action state ----
+  isDown(action) {
+    return Object.values(this.held).some((set) => set.has(action));
+  },
+
+  press(device, action) {
+    if (this.held[device].has(action)) return;
+    this.held[device].add(action);
+    this.sync();
+
+    if (action === "moveLeft" || action === "moveRight") input.arrowPressedThisFrame = true;
+    if (action === "confirm") input.enterPressedThisFrame = true;
+    if (action === "radioPrev") RADIO.switchByKey(-1);
+    if (action === "radioNext") RADIO.switchByKey(+1);
+  },
+
+  release(device, action) {
+    if (!this.held[device].delete(action)) return;
+    this.sync();
+  },
+
+  releaseAll(device) {
+    this.held[device].clear();
+    this.sync();
+  },
+
+  sync() {
+    input.left = this.isDown("moveLeft");
+    input.right = this.isDown("moveRight");
+    input.enter = this.isDown("confirm");
+  },
+
+  // ---- Gamepad ----
+  // Called once per frame before the frame reads `input`
+  pollGamepads() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    if (pads.length === 0 && this.held.gamepad.size === 0) return;
+
+    const pressed = new Set();
+    const down = new Set();
+    for (const pad of pads) {
+      pad.buttons.forEach((b, i) => { if (b.pressed) pressed.add(i); });
+      const x = pad.axes[0] ?? 0;
+      if (x <= -this.stickDeadzone) down.add("moveLeft");
+      if (x >= this.stickDeadzone) down.add("moveRight");
+    }
+    for (const a of ACTIONS) {
+      if (this.buttons[a].some((i) => pressed.has(i))) down.add(a);
+    }
+
+    const fresh = [...pressed].filter((i) => !this.padPressed.has(i));
+    this.padPressed = pressed;
+
+    // The panel takes the gamepad while it's open
+    if (this.panelOpen) {
+      if (this.listening?.device === "pad" && fresh.length > 0) {
+        this.bindButton(this.listening.action, fresh[0]);
+        this.listening = null;
+        this.renderPanel();
+      }
+      this.releaseAll("gamepad");
+      return;
+    }
+
+    for (const a of ACTIONS) {
+      if (down.has(a)) this.press("gamepad", a);
+      else this.release("gamepad", a);
+    }
+  },
+
+  // ---- Controls panel (C) ----
+  togglePanel() {
+    if (!this.panelEl || isMobile) return;
+    this.panelOpen = !this.panelOpen;
+    this.listening = null;
+    this.panelEl.hidden = !this.panelOpen;
+    if (this.panelOpen) {
+      // Nothing stays held behind the panel
+      this.releaseAll("keyboard");
+      this.releaseAll("gamepad");
+      this.renderPanel();
+    }
+  },
+
+  listen(action, device) {
+    this.listening = { action, device };
+    this.renderPanel();
+  },
+
+  // Keys while the panel is open: rebind, or Esc / C to close
+  handlePanelKey(e) {
+    e.preventDefault();
+    const k = normalizeKey(e.key);
+    if (this.listening?.device === "key" && k !== "Escape") {
+      if (!this.bindKey(this.listening.action, k)) {
+        this.renderPanel(`${keyName(k)} is already used for something else.`);
+        return;
+      }
+      this.listening = null;
+      this.renderPanel();
+      return;
+    }
+    if (this.listening) {
+      this.listening = null;
+      this.renderPanel();
+      return;
+    }
+    if (k === "Escape" || k === "c") this.togglePanel();
+  },
+
+  renderPanel(message) {
+    const body = document.getElementById("controlsBindings");
+    if (!body) return;
+    const cell = (action, device, label) => {
+      const active = this.listening?.action === action && this.listening.device === device;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.dataset.action = action;
+      btn.dataset.device = device;
+      btn.classList.toggle("listening", active);
+      btn.textContent = active ? (device === "key" ? "Press a key…" : "Press a button…") : label;
+      const td = document.createElement("td");
+      td.append(btn);
+      return td;
+    };
+    body.replaceChildren(...ACTIONS.map((a) => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.textContent = ACTION_LABELS[a];
+      tr.append(th, cell(a, "key", this.keyLabel(a)), cell(a, "pad", this.buttonLabel(a)));
+      return tr;
+    }));
+
+    const detail = document.getElementById("controlsDetail");
+    if (detail) detail.textContent = message || "Click a binding, then press a key or a gamepad button.";
+  },
+};
+
+function cloneBindings(bindings) {
+  return Object.fromEntries(Object.entries(bindings).map(([a, list]) => [a, [...list]]));
+}
+
+// Entries of list not in claimed yet, without repeats; claims them
+function claimFree(list, claimed) {
+  const free = [...new Set(list)].filter((x) => !claimed.has(x));
+  for (const x of free) claimed.add(x);
+  return free;
+}
+
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// "ArrowLeft" → "←", "q" → "Q"
+function keyName(key) {
+  const names = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", " ": "Space" };
+  return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// ----------------- INPUT -----------------
+window.addEventListener("keydown", (e) => {
+  if (CONTROLS.panelOpen) {
+    CONTROLS.handlePanelKey(e);
+    return;
+  }
+
+  // Bound actions (walk, confirm, radio stations)
+  const action = CONTROLS.actionForKey(e.key);
+  if (action) CONTROLS.press("keyboard", action);
+
+  // Radio volume (-/+) and mute (M)
+  if (e.key === "-" || e.key === "_") RADIO.changeVolume(-0.1);
+  if (e.key === "=" || e.key === "+") RADIO.changeVolume(+0.1);
+  if (e.key === "m" || e.key === "M") RADIO.toggleMute();
+
+  // Journal (HOME only)
+  if (e.key === "j" || e.key === "J" || (e.key === "Escape" && JOURNAL.open)) JOURNAL.toggle();
+
+  if (e.key === "f" || e.key === "F") VIEW.toggleFullscreen();
+  if (e.key === "c" || e.key === "C") CONTROLS.togglePanel();
 });
 
 window.addEventListener("keyup", (e) => {
-  if (e.key === "ArrowLeft") input.left = false;
-  if (e.key === "ArrowRight") input.right = false;
-  if (e.key === "Enter") input.enter = false;
+  const action = CONTROLS.actionForKey(e.key);
+  if (action) CONTROLS.release("keyboard", action);
 });
 
+// Keys released while the window is in the background never send keyup
+window.addEventListener("blur", () => CONTROLS.releaseAll("keyboard"));
+
+CONTROLS.init();
+
 // ---- MOBILE ----
 const isMobile = navigator.maxTouchPoints > 0;
 
@@ -599,13 +1702,13 @@ function checkOrientation() {
 
 function repositionMobileUI() {
   if (!isMobile) return;
-  const rect = canvas.getBoundingClientRect();
+  const rect = VIEW.rect;
   if (!rect.width) return;
 
   const enterBtn = document.getElementById("mobile-enter-btn");
   if (enterBtn) {
     enterBtn.style.left = `${rect.left + rect.width / 2}px`;
-    enterBtn.style.top  = `${rect.bottom - 80}px`;
+    enterBtn.style.top  = `${rect.top + rect.height - 80}px`;
   }
 
   const radioBtn = document.getElementById("radioMobileBtn");
@@ -620,7 +1723,7 @@ function syncMobileUI() {
 
   const enterBtn = document.getElementById("mobile-enter-btn");
   if (enterBtn) {
-    const show = isHomeLevel() && HOME.active && HOME.phase === 0;
+    const show = isHomeLevel() && HOME.active && homeWaitsForEnter();
     if (enterBtn._shown !== show) {
       enterBtn._shown = show;
       enterBtn.style.display = show ? "block" : "none";
@@ -640,7 +1743,7 @@ function syncMobileUI() {
 }
 
 window.addEventListener("orientationchange", () => {
-  setTimeout(() => { checkOrientation(); repositionMobileUI(); }, 100);
+  setTimeout(() => { checkOrientation(); VIEW.fit(); }, 100);
 });
 
 document.getElementById("radioMobileBtn")?.addEventListener("click", () => {
@@ -650,44 +1753,97 @@ document.getElementById("radioMobileBtn")?.addEventListener("click", () => {
 if (isMobile) {
   canvas.addEventListener("touchstart", (e) => {
     e.preventDefault();
-    const rect = canvas.getBoundingClientRect();
     for (const t of e.changedTouches) {
-      const cx = (t.clientX - rect.left) / rect.width * W;
-      if (cx < W / 2) input.left = true; else input.right = true;
+      const cx = VIEW.toCanvas(t.clientX, t.clientY).x;
+      CONTROLS.press("touch", cx < W / 2 ? "moveLeft" : "moveRight");
     }
+    // Any tap also answers the HOME prompts (Enter / arrows)
     input.enterPressedThisFrame = true;
     input.arrowPressedThisFrame = true;
   }, { passive: false });
 
   canvas.addEventListener("touchend", (e) => {
     e.preventDefault();
-    const rect = canvas.getBoundingClientRect();
     let hasLeft = false, hasRight = false;
     for (const t of e.targetTouches) {
-      const cx = (t.clientX - rect.left) / rect.width * W;
+      const cx = VIEW.toCanvas(t.clientX, t.clientY).x;
       if (cx < W / 2) hasLeft = true; else hasRight = true;
     }
-    if (!hasLeft) input.left = false;
-    if (!hasRight) input.right = false;
+    if (!hasLeft) CONTROLS.release("touch", "moveLeft");
+    if (!hasRight) CONTROLS.release("touch", "moveRight");
   }, { passive: false });
 
-  canvas.addEventListener("touchcancel", () => {
-    input.left = false;
-    input.right = false;
-  });
+  canvas.addEventListener("touchcancel", () => CONTROLS.releaseAll("touch"));
 }
 
 checkOrientation();
 // ---- END MOBILE ----
 
+// ---- VIEW WIRING ----
+VIEW.onChange(repositionMobileUI);
+VIEW.onChange(() => VIEW.placeButton());
+window.addEventListener("resize", () => { VIEW.fit(); checkOrientation(); });
+// The canvas only moves relative to the window if the page scrolls
+window.addEventListener("scroll", () => { VIEW.measure(); VIEW.notify(); }, { passive: true });
+document.addEventListener("fullscreenchange", () => VIEW.fit());
+document.getElementById("fullscreenBtn")?.addEventListener("click", (e) => {
+  e.currentTarget.blur();
+  VIEW.toggleFullscreen();
+});
+
 // ---------- Helpers ----------
 function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
 
-function randInt(min, maxInclusive) {
-  return Math.floor(Math.random() * (maxInclusive - min + 1)) + min;
-}
+// ---------- Seeded random ----------
+// Every random choice goes through RNG so a walk can be replayed with ?seed=1234
+// (same level order, sprite assignments and intermittent layer timing).
+// Each consumer draws from its own named stream derived from the seed, so e.g. a layer
+// rolling an interval never shifts the carousel order (generators: src/rng.js).
+
+const RNG = {
+  seed: 0,
+  streams: new Map(),
+
+  init() {
+    const raw = new URLSearchParams(window.location.search).get("seed");
+    if (raw !== null && raw.trim() !== "") {
+      const n = Number(raw);
+      this.seed = Number.isInteger(n) && n >= 0 ? n >>> 0 : hashString(raw.trim());
+    } else {
+      this.seed = Math.floor(Math.random() * 1e9);
+    }
+    this.streams.clear();
+    console.log(`[rng] seed=${this.seed} — add ?seed=${this.seed} to the URL to replay this walk`);
+  },
+
+  // Same name + same seed => same sequence, independent of every other stream.
+  stream(name) {
+    let s = this.streams.get(name);
+    if (!s) {
+      s = mulberry32(hashString(`${this.seed}:${name}`));
+      this.streams.set(name, s);
+    }
+    return s;
+  },
+
+  // Like stream(), but seeded by today's (local) date instead of the walk seed:
+  // the same for every player on the same day.
+  daily(name) {
+    const d = new Date();
+    const day = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+    const key = `daily:${day}:${name}`;
+    let s = this.streams.get(key);
+    if (!s) {
+      s = mulberry32(hashString(key));
+      this.streams.set(key, s);
+    }
+    return s;
+  },
+};
+
+RNG.init();
 
 function warnOnce(key, msg) {
   if (!warnOnce._seen) warnOnce._seen = new Set();
@@ -697,94 +1853,31 @@ function warnOnce(key, msg) {
 }
 
 function isHomeIndex(i) {
-  return state.homeIndex !== -1 && i === state.homeIndex;
+  return Carousel.isHomeIndex(state, i);
 }
 
 // ---------- Carousel helpers ----------
-function nonHomeIndices() {
-  const isDebug = new URLSearchParams(window.location.search).get("debug") === "true";
-  const out = [];
-  for (let i = 0; i < levelData.length; i++) {
-    if (isHomeIndex(i)) continue;
-    if (levelData[i]?.isTest) continue; // test levels never enter carousel
-    if (!isDebug && CAROUSEL_EXCLUDED_LEVELS.includes(levelData[i]?.id)) continue;
-    out.push(i);
-  }
-  return out;
-}
-
-function usedNonHomeCount() {
-  return state.carousel.filter((i) => !isHomeIndex(i)).length;
-}
-
-function pickUnusedNonHomeLevelIndex() {
-  const used = new Set(state.carousel);
-  const pool = nonHomeIndices().filter((i) => !used.has(i));
-  if (pool.length === 0) {
-    const nonHome = nonHomeIndices();
-    return nonHome[0] ?? 0;
-  }
-  return pool[randInt(0, pool.length - 1)];
-}
-
-function initCarouselWithHomeOrFallback() {
-  if (state.homeIndex !== -1) {
-    state.carousel = [state.homeIndex];
-    state.carouselPos = 0;
-    state.levelIndex = state.homeIndex;
-    return;
-  }
-
-  const startIdx = randInt(0, levelData.length - 1);
-  state.carousel = [startIdx];
-  state.carouselPos = 0;
-  state.levelIndex = startIdx;
-}
-
-function carouselMoveRight() {
-  if (levelData.length <= 1 || state.homeOnly) return state.levelIndex;
-
-  const nonHome = nonHomeIndices();
-  const allUsed = usedNonHomeCount() >= nonHome.length;
-
-  if (allUsed) {
-    state.carouselPos = (state.carouselPos + 1) % state.carousel.length;
-    return state.carousel[state.carouselPos];
-  }
-
-  if (state.carouselPos < state.carousel.length - 1) {
-    state.carouselPos += 1;
-    return state.carousel[state.carouselPos];
-  }
-
-  const nextIdx = pickUnusedNonHomeLevelIndex();
-  state.carousel.push(nextIdx);
-  state.carouselPos = state.carousel.length - 1;
-  return nextIdx;
+// Carousel logic lives in carousel.js; these bind it to the game's state and config.
+// The config is built once, by loadLevels (carousel.json and levels.json are in by then).
+let carouselCfg = null;
+
+function buildCarouselConfig() {
+  return {
+    levels: levelData,
+    excludedIds: CAROUSEL_EXCLUDED_LEVELS,
+    includeExcluded: new URLSearchParams(window.location.search).get("debug") === "true",
+    weighting: CAROUSEL_WEIGHTING,
+    strategy: CAROUSEL_STRATEGY,
+    rand: CAROUSEL_STRATEGY.name === "daily" ? RNG.daily("carousel") : RNG.stream("carousel"),
+  };
 }
 
-function carouselMoveLeft() {
-  if (levelData.length <= 1 || state.homeOnly) return state.levelIndex;
-
-  const nonHome = nonHomeIndices();
-  const allUsed = usedNonHomeCount() >= nonHome.length;
-
-  if (allUsed) {
-    state.carouselPos =
-      (state.carouselPos - 1 + state.carousel.length) % state.carousel.length;
-    return state.carousel[state.carouselPos];
-  }
-
-  if (state.carouselPos > 0) {
-    state.carouselPos -= 1;
-    return state.carousel[state.carouselPos];
-  }
-
-  const prevIdx = pickUnusedNonHomeLevelIndex();
-  state.carousel.unshift(prevIdx);
-  state.carouselPos = 0;
-  return prevIdx;
-}
+function carouselComplete() { return Carousel.carouselComplete(state, carouselCfg); }
+function fullLoopVisited() { return Carousel.fullLoopVisited(state, carouselCfg); }
+function fillCarousel() { Carousel.fillCarousel(state, carouselCfg); }
+function initCarouselWithHomeOrFallback() { Carousel.initCarouselWithHomeOrFallback(state, carouselCfg); }
+function carouselMoveRight() { return Carousel.carouselMoveRight(state, carouselCfg); }
+function carouselMoveLeft() { return Carousel.carouselMoveLeft(state, carouselCfg); }
 
 function setAnim(next) {
   if (player.anim === next) return;
@@ -793,28 +1886,12 @@ function setAnim(next) {
   player.frameTimer = 0;
 }
 
-function getHeroNormalizedX() {
-  const range = Math.max(1, W - player.renderW);
-  const t = clamp(player.x / range, 0, 1);
-  return t * 2 - 1;
-}
-
-function drawZoomPanFollow(img, zoom, followStrength) {
+// parallax: depth factors from normalizeParallax(); width: the level's world
+// width (the image spans it, see levelWorldW)
+function drawZoomPanFollow(img, parallax, width = W) {
   if (!img) return;
-
-  const drawW = W * zoom;
-  const drawH = H * zoom;
-
-  const maxFromZoom = (drawW - W) / 2;
-  const maxPan = Math.min(maxFromZoom, MAX_PAN_PX);
-
-  const heroN = getHeroNormalizedX();
-  const pan = clamp(heroN * maxPan * clamp(followStrength, 0, 1), -maxPan, maxPan);
-
-  const x = -(drawW - W) / 2 + pan;
-  const y = -(drawH - H) / 2;
-
-  ctx.drawImage(img, x, y, drawW, drawH);
+  const r = parallaxRect(parallax, player.x, player.renderW, width, H);
+  ctx.drawImage(img, r.x, r.y, r.w, r.h);
 }
 
 // ---------- Loaders ----------
@@ -887,31 +1964,13 @@ async function loadOptionalLayer(levelId, layerSpec, layerName) {
 
 // Load a single layer from a spec entry in levels.json.
 // spec = { folder, type, rendering?, fps?, count?, parallax?, startMs?, ... }
+// Returns the normalized engine spec (see layerEngine.js) plus images and play state.
 async function loadLayerFromSpec(levelId, spec) {
   if (!spec?.folder) return null;
 
   const base = `assets/levels/${levelId}/${spec.folder}`;
   const type = String(spec.type || "frames").toLowerCase();
-  const rendering = String(spec.rendering || "loop").toLowerCase();
-  const animation = String(spec.animation || "loop").toLowerCase(); // "loop" | "pingpong"
-  const parallax = Boolean(spec.parallax);
-  const startMs = Number(spec.startMs ?? 0);
-  const intervalMs = Number(spec.intervalMs ?? 0);
-  const randomInterval = Boolean(spec.randomInterval);
-  const minIntervalMs = Number(spec.minIntervalMs ?? 2000);
-  const maxIntervalMs = Number(spec.maxIntervalMs ?? 8000);
-  const repeatCount = Number(spec.repeatCount ?? -1);
-  const showFirstFrame = Boolean(spec.showFirstFrame);
-
-  const playState = {
-    frameIndex: 0,
-    frameTimer: 0,
-    phase: "idle",     // idle | playing | waiting
-    phaseTimer: 0,
-    playCount: 0,
-    nextIntervalMs: 0,
-    direction: 1,      // 1 = forward, -1 = reverse (for pingpong)
-  };
+  const playState = createPlayState(RNG.stream(`layer:${levelId}:${spec.folder}`)); // random intervals
 
   if (type === "static") {
     const isUnderlay = spec.folder.startsWith("underlay");
@@ -926,19 +1985,20 @@ async function loadLayerFromSpec(levelId, spec) {
       warnOnce(`${levelId}:${spec.folder}:noImage`, `[${levelId}] ${spec.folder}: no image found. Skipping.`);
       return null;
     }
-    return { kind: "static", img, parallax, rendering, animation, startMs, intervalMs, randomInterval, minIntervalMs, maxIntervalMs, repeatCount, showFirstFrame, playState };
+    const sound = await loadLayerSound(levelId, spec);
+    return { ...normalizeLayerSpec(spec), img, playState, sound };
   }
 
   if (type === "frames") {
     const count = Number(spec.count || 0);
-    const fps = Number(spec.fps || DEFAULT_LAYER_FPS);
     if (!count) {
       warnOnce(`${levelId}:${spec.folder}:noCount`, `[${levelId}] ${spec.folder}: type=frames requires "count". Skipping.`);
       return null;
     }
     try {
       const frames = await loadFrameSequenceCounted(base, count);
-      return { kind: "frames", frames, fps, parallax, rendering, animation, startMs, intervalMs, randomInterval, minIntervalMs, maxIntervalMs, repeatCount, showFirstFrame, playState };
+      const sound = await loadLayerSound(levelId, spec);
+      return { ...normalizeLayerSpec(spec, frames.length), frames, playState, sound };
     } catch (e) {
       warnOnce(`${levelId}:${spec.folder}:loadFail`, `[${levelId}] ${spec.folder}: failed to load frames. (${e.message})`);
       return null;
@@ -949,6 +2009,46 @@ async function loadLayerFromSpec(levelId, spec) {
   return null;
 }
 
+// A layer's sound cue (see LEVEL AUDIO), fetched now and decoded once the
+// AudioContext exists. A missing file only drops the sound.
+async function loadLayerSound(levelId, spec) {
+  const s = spec.sound;
+  if (!s?.src) return null;
+  const url = `assets/levels/${levelId}/${s.src}`;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return {
+      url,
+      data: await res.arrayBuffer(),
+      decoded: null,
+      on: String(s.on || "start").toLowerCase(),
+      volume: clamp(Number(s.volume ?? 1), 0, 1),
+      x: s.x === undefined ? null : Number(s.x), // null: the level's center
+    };
+  } catch (e) {
+    warnOnce(`${levelId}:${spec.folder}:soundFail`, `[${levelId}] ${spec.folder}: sound ${s.src} failed to load. Skipping. (${e.message})`);
+    return null;
+  }
+}
+
+// Looping ambient of a gameplay level (see LEVEL AUDIO); streams on first play.
+function loadLevelAmbient(levelId, spec) {
+  if (!spec?.src) return null;
+  const audio = new Audio(`assets/levels/${levelId}/${spec.src}`);
+  audio.preload = "auto";
+  audio.loop = true;
+  audio.addEventListener("error", () => {
+    warnOnce(`${levelId}:ambient:loadFail`, `[${levelId}] ambient ${spec.src} failed to load.`);
+  });
+  return {
+    audio,
+    volume: clamp(Number(spec.volume ?? 0.5), 0, 1),
+    fadeMs: Number(spec.fadeMs ?? 1500),
+    channel: null, // MIXER channel, routed on first play
+  };
+}
+
 // Load an ordered array of layer specs (overlays or underlays) from levels.json.
 async function loadLayerSet(levelId, specs) {
   if (!Array.isArray(specs)) return [];
@@ -956,6 +2056,20 @@ async function loadLayerSet(levelId, specs) {
   return results.filter(Boolean);
 }
 
+// Optional scripted event of a gameplay level (see LEVEL CUTSCENES). A broken
+// cutscene only drops the cutscene, never the level.
+async function loadLevelCutscene(levelId, spec) {
+  if (!spec) return null;
+  try {
+    const script = await loadScript(spec, `assets/levels/${levelId}/`);
+    if (!script) warnOnce(`${levelId}:cutscene:noSteps`, `[${levelId}] cutscene has no steps. Skipping.`);
+    return script;
+  } catch (e) {
+    warnOnce(`${levelId}:cutscene:loadFail`, `[${levelId}] cutscene failed to load. Skipping. (${e.message})`);
+    return null;
+  }
+}
+
 async function loadLevels() {
   const res = await fetch("data/levels.json");
   if (!res.ok) throw new Error(`Failed to fetch data/levels.json (${res.status})`);
@@ -964,6 +2078,7 @@ async function loadLevels() {
   if (!json.levels || !Array.isArray(json.levels) || json.levels.length === 0) {
     throw new Error("data/levels.json must contain { levels: [ ... ] } with at least 1 level");
   }
+  Object.assign(TRANSITION_GLOBAL, resolveTransition(json.transition, { type: "cut", durationMs: 0 }));
 
   const loadedLevels = [];
 
@@ -994,8 +2109,11 @@ async function loadLevels() {
       const bgImg = await loadImage(bgSrc);
       const overlays  = await loadLayerSet(id, lvl.overlays);
       const underlays = await loadLayerSet(id, lvl.underlays);
+      const cutscene  = await loadLevelCutscene(id, lvl.cutscene);
+      const ambient   = loadLevelAmbient(id, lvl.ambient);
+      const bgParallax = normalizeParallax(lvl.backgroundParallax);
       loadedLevels.push(lvl);
-      levelAssets.set(id, { bgImg, overlays, underlays });
+      levelAssets.set(id, { bgImg, bgParallax, overlays, underlays, cutscene, ambient });
     } catch (e) {
       console.warn(`[${id}] background.png failed to load. Level excluded. (${e.message})`);
     }
@@ -1008,6 +2126,7 @@ async function loadLevels() {
   levelData = loadedLevels;
 
   state.homeIndex = levelData.findIndex((l) => l && l.isHome === true);
+  carouselCfg = buildCarouselConfig();
   initCarouselWithHomeOrFallback();
 }
 
@@ -1036,6 +2155,26 @@ async function loadCarouselConfig() {
   if (!res.ok) throw new Error(`Failed to fetch data/carousel.json (${res.status})`);
   const json = await res.json();
   CAROUSEL_EXCLUDED_LEVELS = Array.isArray(json.excludedLevels) ? json.excludedLevels : [];
+
+  const exp = Number(json.rarityExponent);
+  if (Number.isFinite(exp) && exp >= 0) CAROUSEL_WEIGHTING.rarityExponent = exp;
+
+  const special = json.special || {};
+  if (Number.isFinite(Number(special.maxPerLoop))) {
+    CAROUSEL_WEIGHTING.special.maxPerLoop = Number(special.maxPerLoop);
+  }
+  if (Number.isFinite(Number(special.minLevelsBefore))) {
+    CAROUSEL_WEIGHTING.special.minLevelsBefore = Math.max(0, Number(special.minLevelsBefore));
+  }
+
+  if (json.strategy !== undefined) {
+    if (CAROUSEL_STRATEGIES.includes(json.strategy)) CAROUSEL_STRATEGY.name = json.strategy;
+    else console.warn(`[carousel.json] unknown strategy "${json.strategy}" — using "random"`);
+  }
+  if (Array.isArray(json.order)) CAROUSEL_STRATEGY.order = json.order.map(String);
+  if (Array.isArray(json.themes)) CAROUSEL_STRATEGY.themes = json.themes.map(String);
+  const loopLength = Number(json.loopLength);
+  if (Number.isInteger(loopLength) && loopLength >= 0) CAROUSEL_STRATEGY.loopLength = loopLength;
 }
 
 function loadSecondaryFrameSet(folder, count) {
@@ -1080,123 +2219,6 @@ async function loadAllSecondarySprites() {
   }
 }
 
-// =============================================================
-// SECONDARY SPRITE PLACEMENT HELPERS
-// =============================================================
-
-// Valid drop quadrant indices (0=A … 5=F) for hero entering from the LEFT (going right).
-// Mirrored automatically when hero enters from the right.
-const SPRITE_QUADRANT_RULES = {
-  opposite_slow:    [2, 3, 4, 5],    // C–F  (slow oncoming — give it room)
-  opposite_similar: [3, 4, 5],       // D–F  (similar speed — needs more runway)
-  opposite_fast:    [3, 4, 5],       // D–F  (fast oncoming — same)
-  same_slow:        [0, 1, 2, 3],    // A–D  (hero catches up)
-  same_similar:     [2, 3, 4, 5],    // C–F  (avoid A/B — parallel-walk risk)
-  same_fast:        [0, 1, 2, 3, 4], // A–E  (escapes ahead; F exits immediately)
-};
-
-function spriteSpeedTier(speed) {
-  const ratio = speed / (player.speed || 90);
-  if (ratio < 0.7) return "slow";
-  if (ratio <= 1.3) return "similar";
-  return "fast";
-}
-
-function quadrantCenterX(q) {
-  return Math.round((q + 0.5) * W / 6);
-}
-
-function validQuadrantsFor(spriteDir, tier, heroDir) {
-  const rel = spriteDir === heroDir ? "same" : "opposite";
-  let qs = [...(SPRITE_QUADRANT_RULES[`${rel}_${tier}`] ?? [2, 3, 4, 5])];
-  if (heroDir === -1) qs = qs.map(q => 5 - q); // mirror for hero entering from right
-  return qs;
-}
-
-function minQuadGap(dir1, tier1, dir2, tier2) {
-  // Same direction + both similar speed → biggest overlap risk
-  return (dir1 === dir2 && tier1 === "similar" && tier2 === "similar") ? 2 : 1;
-}
-
-function shuffleArray(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
-
-// Pass 1: 1 sprite per level. Pass 2: up to 2 per level (even). Pass 3: up to 4 per level (random).
-function distributeSpriteAssignments(nonHomePositions) {
-  const N = secondaryStates.length;
-  const spriteOrder = shuffleArray(Array.from({ length: N }, (_, i) => i));
-  const levelOrder  = shuffleArray([...nonHomePositions]);
-  const counts = {};
-  nonHomePositions.forEach(p => { counts[p] = 0; });
-  const result = [];
-  let si = 0;
-
-  for (const pos of levelOrder) {           // pass 1
-    if (si >= N) break;
-    result.push({ spriteIdx: spriteOrder[si++], carouselPos: pos });
-    counts[pos]++;
-  }
-  for (const pos of levelOrder) {           // pass 2 (cap 2)
-    if (si >= N) break;
-    if (counts[pos] < 2) {
-      result.push({ spriteIdx: spriteOrder[si++], carouselPos: pos });
-      counts[pos]++;
-    }
-  }
-  while (si < N) {                          // pass 3 (cap 4)
-    const avail = nonHomePositions.filter(p => counts[p] < 4);
-    if (!avail.length) break;
-    const pos = avail[Math.floor(Math.random() * avail.length)];
-    result.push({ spriteIdx: spriteOrder[si++], carouselPos: pos });
-    counts[pos]++;
-  }
-  return result;
-}
-
-// Direction is determined by which half of the screen the quadrant is on:
-//   near hero's entry side (first 3 quadrants) → same direction as hero
-//   far from hero's entry side (last 3 quadrants) → opposite direction
-function directionForQuadrant(q, heroDir) {
-  const nearHero = heroDir === 1 ? q < 3 : q >= 3;
-  return nearHero ? heroDir : -heroDir;
-}
-
-// For K > 1 sprites on a level: pick quadrant for each (direction follows from quadrant).
-// Drops sprites with no valid slot — option B (no relaxation of rules).
-function resolveQuadrantsForLevel(sprites, heroDir) {
-  const placed = [];
-  const resolved = [];
-  for (const sp of sprites) {
-    const cfg  = SECONDARY_SPRITES[sp.spriteIdx];
-    const tier = spriteSpeedTier(cfg.speed ?? 90);
-
-    // Build candidate list: each quadrant has a fixed direction, check it passes validity rules
-    let candidates = [];
-    for (let q = 0; q < 6; q++) {
-      const dir = directionForQuadrant(q, heroDir);
-      if (validQuadrantsFor(dir, tier, heroDir).includes(q)) candidates.push({ q, dir });
-    }
-
-    // Apply separation from already-placed sprites
-    candidates = candidates.filter(({ q, dir }) =>
-      placed.every(p => Math.abs(q - p.q) >= minQuadGap(dir, tier, p.dir, p.tier))
-    );
-
-    if (!candidates.length) continue; // no valid slot — drop this sprite
-    const pick = candidates[Math.floor(Math.random() * candidates.length)];
-    placed.push({ q: pick.q, dir: pick.dir, tier });
-    resolved.push({ ...sp, direction: pick.dir, spawnX: quadrantCenterX(pick.q) });
-  }
-  return resolved;
-}
-
-// =============================================================
-
 // Called once when hero first crosses the HOME edge.
 function assignAndActivateSecondarySprites(heroEdge) {
   if (secondaryActivated) return;
@@ -1206,55 +2228,38 @@ function assignAndActivateSecondarySprites(heroEdge) {
   heroDirection = heroDir;
 
   // Pre-build full carousel so all levels are known before assigning
-  while (usedNonHomeCount() < nonHomeIndices().length) {
-    state.carousel.push(pickUnusedNonHomeLevelIndex());
-  }
+  fillCarousel();
 
   const homePos = state.carousel.indexOf(state.homeIndex);
   const nonHomePositions = state.carousel.map((_, i) => i).filter(i => i !== homePos);
 
-  const assignments = distributeSpriteAssignments(nonHomePositions);
-
-  // Group by level, resolve directions + quadrants, write into states
-  const byLevel = {};
-  for (const a of assignments) {
-    if (!byLevel[a.carouselPos]) byLevel[a.carouselPos] = [];
-    byLevel[a.carouselPos].push(a);
-  }
-
-  for (const [posKey, sprites] of Object.entries(byLevel)) {
-    const carouselPos = Number(posKey);
-    const resolved = sprites.length === 1
-      ? [{ ...sprites[0], direction: -heroDir, spawnX: heroDir === 1 ? W : 0 }] // single: edge spawn, opposite dir
-      : resolveQuadrantsForLevel(sprites, heroDir);                               // multi: quadrant spawn
+  // Placement rules live in spritePlacement.js; write the plan into states
+  const plan = Placement.planSecondarySprites({
+    spriteConfigs: SECONDARY_SPRITES,
+    nonHomePositions,
+    heroDir,
+    heroSpeed: player.speed,
+    width: W,
+    rand: RNG.stream("sprites"),
+  });
 
-    for (const sp of resolved) {
-      const s = secondaryStates[sp.spriteIdx];
-      s.assigned   = true;
-      s.active     = false;
-      s.carouselPos = carouselPos;
-      s.direction  = sp.direction;
-      s.spawnX     = sp.spawnX;
-      s.frameIndex = 0;
-      s.frameTimer = 0;
-      const lvlId = levelData[state.carousel[carouselPos]]?.id;
-      const stop  = carouselPos - homePos;
-      console.log(`[secondary] sprite ${sp.spriteIdx + 1} → stop ${stop} (id="${lvlId}") dir=${sp.direction} x=${sp.spawnX}`);
-    }
+  for (const sp of plan) {
+    const s = secondaryStates[sp.spriteIdx];
+    s.assigned   = true;
+    s.active     = false;
+    s.carouselPos = sp.carouselPos;
+    s.direction  = sp.direction;
+    s.spawnX     = sp.spawnX;
+    s.frameIndex = 0;
+    s.frameTimer = 0;
+    const lvlId = levelData[state.carousel[sp.carouselPos]]?.id;
+    const stop  = sp.carouselPos - homePos;
+    console.log(`[secondary] sprite ${sp.spriteIdx + 1} → stop ${stop} (id="${lvlId}") dir=${sp.direction} x=${sp.spawnX}`);
   }
 }
 
-// Returns the effectiveDepthOffset for sprite i entering carouselPos.
-// Range: [2, cfg.depthOffset]. New sprite gets (min co-occupant depth - 2).
-// If that falls below 2, falls back to cfg.depthOffset.
 function computeEffectiveDepthOffset(i, carouselPos) {
-  const cfg = SECONDARY_SPRITES[i];
-  const defaultDepth = typeof cfg.depthOffset === "number" ? cfg.depthOffset : 0;
-  const coOccupants = secondaryStates.filter((s, j) => j !== i && s.active && s.carouselPos === carouselPos);
-  if (!coOccupants.length) return defaultDepth;
-  const minDepth = Math.min(...coOccupants.map(s => s.effectiveDepthOffset ?? defaultDepth));
-  const candidate = minDepth - 2;
-  return candidate >= 2 ? candidate : defaultDepth;
+  return Placement.computeEffectiveDepthOffset(i, carouselPos, SECONDARY_SPRITES, secondaryStates);
 }
 
 // Activates sprites assigned to the current level when the hero enters it.
@@ -1265,7 +2270,8 @@ function maybeActivateSpritesForCurrentLevel() {
     if (s.active || !s.assigned) continue;
     if (state.carousel[s.carouselPos] !== state.levelIndex) continue;
     s.active = true;
-    s.x      = s.spawnX ?? (s.direction === -1 ? W : 0);
+    // Spawn points are planned on one screen; stretch them over the level
+    s.x      = (s.spawnX ?? (s.direction === -1 ? W : 0)) * currentWorldW() / W;
     s.facing = s.direction;
     s.effectiveDepthOffset = computeEffectiveDepthOffset(i, s.carouselPos);
     console.log(`[secondary] activated on level "${currentLevel()?.id}" x=${Math.round(s.x)} dir=${s.direction} depth=${s.effectiveDepthOffset}`);
@@ -1293,8 +2299,9 @@ function updateSecondarySprites(dt) {
     const spriteW = s.natH > 0
       ? Math.round(s.natW * Math.round((player.renderH || 56) * sizeRatio) / s.natH)
       : 80;
+    const worldW = levelWorldW(levelData[state.carousel[s.carouselPos]]);
 
-    if (s.direction === 1 && s.x > W + spriteW) {
+    if (s.direction === 1 && s.x > worldW + spriteW) {
       const nextPos = (s.carouselPos + 1) % n;
       const sameAsHero = heroDirection !== 0 && s.direction === heroDirection;
       if (sameAsHero || state.carousel[nextPos] === state.homeIndex) {
@@ -1311,7 +2318,7 @@ function updateSecondarySprites(dt) {
         s.active = false; // same direction as hero, or reached HOME — drop out
       } else {
         s.carouselPos = nextPos;
-        s.x = W + spriteW;
+        s.x = levelWorldW(levelData[state.carousel[nextPos]]) + spriteW;
         s.effectiveDepthOffset = computeEffectiveDepthOffset(i, s.carouselPos);
       }
     }
@@ -1329,17 +2336,58 @@ function currentLevelAssets() {
   return levelAssets.get(lvl.id) || null;
 }
 
+// ---------- Camera ----------
+// A gameplay level can be wider than the screen: "screens": 3 in levels.json
+// makes it 3 × 1280 px, with the background and layers drawn that wide.
+// The hero, secondary sprites and layers all live in world x (0 … world
+// width); the camera follows the hero and stops at the level's ends, where
+// the edge portals are. HOME is always one screen.
+const camera = { x: 0 }; // world x of the screen's left edge, while a level is drawn
+
+function levelWorldW(lvl) {
+  const screens = Number(lvl?.screens);
+  return !lvl?.isHome && screens > 1 ? Math.round(screens * W) : W;
+}
+
+function currentWorldW() {
+  return levelWorldW(currentLevel());
+}
+
+function currentCameraX() {
+  return cameraXFor(currentLevel(), player.x);
+}
+
+// Keep the hero centred, within the level
+function cameraXFor(lvl, heroX) {
+  return clamp(heroX + player.renderW / 2 - W / 2, 0, levelWorldW(lvl) - W);
+}
+
+// Run draw() in world space, scrolled to cameraX
+function withCamera(cameraX, draw) {
+  const saved = camera.x;
+  camera.x = Math.round(cameraX);
+  ctx.save();
+  ctx.translate(-camera.x, 0);
+  try {
+    draw();
+  } finally {
+    ctx.restore();
+    camera.x = saved;
+  }
+}
+
 function drawBackground() {
   const assets = currentLevelAssets();
   if (!assets?.bgImg) return;
-  ctx.drawImage(assets.bgImg, 0, 0, W, H);
+  if (assets.bgParallax) drawZoomPanFollow(assets.bgImg, assets.bgParallax, currentWorldW());
+  else ctx.drawImage(assets.bgImg, 0, 0, currentWorldW(), H);
 }
 
 // HOME-only: keep legacy draw helpers for l1-l4 (used by home intro pipeline)
 function drawForeground() {
   const assets = currentLevelAssets();
   if (!assets?.fgImg) return;
-  drawZoomPanFollow(assets.fgImg, FG_ZOOM, FG_FOLLOW);
+  drawZoomPanFollow(assets.fgImg, DEFAULT_PARALLAX);
 }
 
 function drawOptionalLayerAsset(layerAsset, dt) {
@@ -1377,155 +2425,24 @@ function drawLayer4(dt) { drawLayerN("l4", dt); }
 
 // ---------- New overlay/underlay draw system ----------
 
-/**
- * Advance frame index by one step, respecting animation mode.
- * For "loop": wraps around (0→1→…→N-1→0).
- * For "pingpong": bounces (0→1→…→N-1→N-2→…→0→1→…).
- * Returns true if a full cycle completed (hit the end in loop, or returned to 0 in pingpong).
- */
-function advanceFrame(ps, frameCount, animation) {
-  if (animation === "pingpong") {
-    ps.frameIndex += ps.direction;
-    if (ps.frameIndex >= frameCount - 1) {
-      ps.frameIndex = frameCount - 1;
-      ps.direction = -1;
-    }
-    if (ps.frameIndex <= 0) {
-      ps.frameIndex = 0;
-      if (ps.direction === -1) { ps.direction = 1; return true; } // full cycle
-    }
-    return false;
-  }
-  // default: loop
-  ps.frameIndex++;
-  if (ps.frameIndex >= frameCount) { ps.frameIndex = 0; return true; }
-  return false;
-}
-
 // Update and draw a single gameplay layer asset.
+// Playback rules live in layerEngine.js; this only resolves and draws the image.
 // levelTime = seconds since hero entered this level (for once/intermittent).
 function updateAndDrawLayer(layer, dt, levelTime) {
-  const ps = layer.playState;
-
-  // Resolve the image to draw for this frame
-  let img = null;
-  let shouldDraw = true;
-
-  if (layer.kind === "static") {
-    img = layer.img;
-    // For "once" static: only show after startMs
-    if (layer.rendering === "once" && levelTime * 1000 < layer.startMs) shouldDraw = false;
-  } else if (layer.kind === "frames") {
-    const frames = layer.frames;
-    if (!frames || frames.length === 0) return;
-
-    if (layer.rendering === "loop") {
-      const hasInterval = layer.intervalMs > 0 || layer.randomInterval;
-
-      if (!hasInterval) {
-        // Simple back-to-back loop
-        ps.frameTimer += dt;
-        const spf = 1 / Math.max(1, layer.fps);
-        while (ps.frameTimer >= spf) {
-          ps.frameTimer -= spf;
-          advanceFrame(ps, frames.length, layer.animation);
-        }
-      } else {
-        // Loop with interval between repetitions
-        if (ps.phase === "idle") {
-          ps.phase = "playing";
-          ps.frameIndex = 0;
-          ps.frameTimer = 0;
-        }
-        if (ps.phase === "playing") {
-          ps.frameTimer += dt;
-          const spf = 1 / Math.max(1, layer.fps);
-          while (ps.frameTimer >= spf) {
-            ps.frameTimer -= spf;
-            const cycled = advanceFrame(ps, frames.length, layer.animation);
-            if (cycled) {
-              // Completed one cycle — enter wait phase
-              ps.phase = "waiting";
-              ps.nextIntervalMs = layer.randomInterval
-                ? layer.minIntervalMs + Math.random() * (layer.maxIntervalMs - layer.minIntervalMs)
-                : layer.intervalMs;
-              ps.phaseTimer = 0;
-              break;
-            }
-          }
-        }
-        if (ps.phase === "waiting") {
-          ps.phaseTimer += dt * 1000;
-          if (ps.phaseTimer >= ps.nextIntervalMs) { ps.phase = "playing"; ps.direction = 1; }
-          if (layer.showFirstFrame) { ps.frameIndex = 0; }
-          else { shouldDraw = false; }
-        }
-      }
-      img = frames[ps.frameIndex];
-
-    } else if (layer.rendering === "once") {
-      const ltMs = levelTime * 1000;
-      if (ltMs < layer.startMs) { shouldDraw = false; }
-      else {
-        if (ps.phase === "idle") { ps.phase = "playing"; ps.frameIndex = 0; ps.frameTimer = 0; }
-        if (ps.phase === "playing") {
-          ps.frameTimer += dt;
-          const spf = 1 / Math.max(1, layer.fps);
-          while (ps.frameTimer >= spf) {
-            ps.frameTimer -= spf;
-            const cycled = advanceFrame(ps, frames.length, layer.animation);
-            if (layer.animation !== "pingpong" && cycled) { ps.frameIndex = frames.length - 1; ps.phase = "done"; break; }
-            if (layer.animation === "pingpong" && cycled) { ps.frameIndex = 0; ps.phase = "done"; break; }
-          }
-        }
-        img = frames[ps.frameIndex];
-      }
-
-    } else if (layer.rendering === "intermittent") {
-      const ltMs = levelTime * 1000;
-      if (ltMs < layer.startMs) {
-        if (layer.showFirstFrame) { img = frames[0]; }
-        else { shouldDraw = false; }
-      } else {
-        if (ps.phase === "idle") { ps.phase = "playing"; ps.frameIndex = 0; ps.frameTimer = 0; }
-        if (ps.phase === "playing") {
-          ps.frameTimer += dt;
-          const spf = 1 / Math.max(1, layer.fps);
-          while (ps.frameTimer >= spf) {
-            ps.frameTimer -= spf;
-            const cycled = advanceFrame(ps, frames.length, layer.animation);
-            if (cycled) {
-              ps.playCount++;
-              if (layer.repeatCount >= 0 && ps.playCount >= layer.repeatCount) {
-                ps.phase = "done"; break;
-              }
-              ps.phase = "waiting";
-              ps.nextIntervalMs = layer.randomInterval
-                ? layer.minIntervalMs + Math.random() * (layer.maxIntervalMs - layer.minIntervalMs)
-                : layer.intervalMs;
-              ps.phaseTimer = 0;
-              break;
-            }
-          }
-        }
-        if (ps.phase === "waiting") {
-          ps.phaseTimer += dt * 1000;
-          if (ps.phaseTimer >= ps.nextIntervalMs) { ps.phase = "playing"; ps.direction = 1; }
-          if (layer.showFirstFrame) { ps.frameIndex = 0; }
-          else { shouldDraw = false; }
-        }
-        if (ps.phase === "done") { shouldDraw = false; }
-        else img = frames[ps.frameIndex];
-      }
-    }
+  const { frameIndex, visible, started } = stepLayer(layer, layer.playState, dt, levelTime);
+  if (started && layer.sound && (layer.sound.on === "cycle" || layer.playState.starts === 1)) {
+    LEVEL_AUDIO.playCue(layer.sound);
   }
+  if (!visible) return;
 
-  if (!shouldDraw || !img) return;
+  const img = layer.kind === "static" ? layer.img : layer.frames[frameIndex];
+  if (!img) return;
 
+  const worldW = currentWorldW();
   if (layer.parallax) {
-    drawZoomPanFollow(img, FG_ZOOM, FG_FOLLOW);
+    drawZoomPanFollow(img, layer.parallax, worldW);
   } else {
-    ctx.drawImage(img, 0, 0, W, H);
+    ctx.drawImage(img, 0, 0, worldW, H);
   }
 }
 
@@ -1554,14 +2471,7 @@ function drawOverlays(dt) {
 function resetLevelLayerStates(id) {
   const assets = levelAssets.get(id);
   if (!assets) return;
-  const reset = (layer) => {
-    layer.playState.frameIndex = 0;
-    layer.playState.frameTimer = 0;
-    layer.playState.phase = "idle";
-    layer.playState.phaseTimer = 0;
-    layer.playState.playCount = 0;
-    layer.playState.nextIntervalMs = 0;
-  };
+  const reset = (layer) => resetPlayState(layer.playState);
   assets.overlays?.forEach(reset);
   assets.underlays?.forEach(reset);
 }
@@ -1613,7 +2523,7 @@ function drawSecondary() {
   const lvl = currentLevel();
   if (!lvl) return;
 
-  if (lvl.id !== _lastLoggedLevelId) {
+  if (!state.transitioning && lvl.id !== _lastLoggedLevelId) {
     _lastLoggedLevelId = lvl.id;
     const active = secondaryStates.filter(s => s.active).map(s => levelData[state.carousel[s.carouselPos]]?.id);
     console.log(`[secondary] level="${lvl.id}" active sprites on levels: [${active.join(",")}]`);
@@ -1646,6 +2556,7 @@ function drawSecondary() {
     const depthOffset = typeof s.effectiveDepthOffset === "number" ? s.effectiveDepthOffset
                       : typeof cfg.depthOffset === "number" ? cfg.depthOffset : 0;
     const y = Math.round(FLOOR_Y - depthOffset - drawH - FEET_FUDGE_PX);
+    if (x + drawW > camera.x && x < camera.x + W) STATS.meetSprite(cfg.id); // journal: met once on screen
 
     ctx.save();
     try {
@@ -1663,12 +2574,6 @@ function drawSecondary() {
   }
 }
 
-// ---------- Universe switching ----------
-// NEW BEHAVIOR:
-// - Trigger when hero CENTER crosses the portal line (x=0 or x=W),
-//   so the hero is half-way through.
-// - After switching, spawn half-inside the new universe so the half that
-//   already entered stays visible.
 // ---------- Return popup ----------
 const POPUP = {
   active: false,
@@ -1720,20 +2625,93 @@ function drawPopup(dt) {
   ctx.restore();
 }
 
+// ---------- Level transitions ----------
+// Crossing an edge swaps levels through a transition. The entered level's
+// "transition" in levels.json picks it, else the file's top-level "transition":
+//   { type: "cut" | "crossfade" | "fade" | "slide" | "iris", durationMs }
+//   cut       — instant swap
+//   crossfade — the new level fades in over the old one
+//   fade      — the old level fades to black, the new one fades in from black
+//   slide     — the view scrolls across the seam, old level out, new level in
+//   iris      — a circle closes on the hero and reopens on the new level
+// The hero walks on through it (the edge's direction, whatever the input) and
+// both levels keep playing: layers, secondary sprites and sound cues.
+//
+// Edges trigger when the hero is 1/4 past the level's end; in the new level the
+// hero starts 1/4 past the other end plus whatever it walked meanwhile.
+const TRANSITION_TYPES = ["cut", "crossfade", "fade", "slide", "iris"];
+const TRANSITION_DEFAULT_MS = { cut: 0, crossfade: 600, fade: 800, slide: 700, iris: 900 };
+const TRANSITION_GLOBAL = { type: "cut", durationMs: 0 }; // levels.json top-level "transition"
+
+// Offscreen canvas for drawing a whole level at once (crossfade alpha)
+const transitionBuffer = document.createElement("canvas");
+transitionBuffer.width = W;
+transitionBuffer.height = H;
+
+function resolveTransition(spec, fallback) {
+  const type = TRANSITION_TYPES.includes(spec?.type) ? spec.type : fallback.type;
+  const ms = Number(spec?.durationMs);
+  const durationMs = Number.isFinite(ms) && ms >= 0
+    ? ms
+    : type === fallback.type ? fallback.durationMs : TRANSITION_DEFAULT_MS[type];
+  return { type, durationMs };
+}
+
+function transitionFor(lvl) {
+  return lvl?.transition ? resolveTransition(lvl.transition, TRANSITION_GLOBAL) : { ...TRANSITION_GLOBAL };
+}
+
+// Where the hero appears in the new level (before walking on)
+function entryXFor(edge, lvl) {
+  const w = player.renderW;
+  return edge === "left"
+    ? levelWorldW(lvl) - w * 0.75 // walked out on the left: appear at the right end, 1/4 out
+    : -w * 0.25;                  // walked out on the right: appear at the left end, 1/4 out
+}
+
 function triggerEdge(edge) {
   if (state.transitioning) return;
   if (!state.gameplayEnabled) return;
 
+  const fromIndex = state.levelIndex;
+  const toIndex = edge === "left" ? carouselMoveLeft() : carouselMoveRight();
+  const lvl = levelData[toIndex];
+  // Same level again (HOME-only carousel): nothing to blend
+  const spec = toIndex === fromIndex ? { type: "cut", durationMs: 0 } : transitionFor(lvl);
+  const now = performance.now();
+
   state.transitioning = true;
-  state.transitionUntil = performance.now() + 60;
+  state.transitionUntil = now + spec.durationMs;
   state.lastEdge = edge;
-  player.visible = false;
+  state.transition = {
+    ...spec,
+    startedAt: now,
+    fromIndex,
+    toIndex,
+    fromEnteredAt: state.levelEnteredAt,
+    dir: edge === "left" ? -1 : 1,
+    exitX: player.x,
+    entryX: entryXFor(edge, lvl),
+  };
+
+  player.facing = state.transition.dir;
+  setAnim("walk");
+
+  // The new level starts playing now (seen during the transition), and its
+  // ambient crossfades alongside (HOME has none, so entering it fades to silence)
+  if (lvl && toIndex !== fromIndex) resetLevelLayerStates(lvl.id);
+  LEVEL_AUDIO.enterLevel(lvl ? levelAssets.get(lvl.id) : null);
 }
 
 function finishTransition() {
-  const wasHome = state.homeIndex !== -1 && state.levelIndex === state.homeIndex;
-  state.levelIndex = state.lastEdge === "left" ? carouselMoveLeft() : carouselMoveRight();
+  const tr = state.transition;
+  const wasHome = isHomeIndex(tr.fromIndex);
+  state.levelIndex = tr.toIndex;
   state.visitedLevels.add(state.levelIndex);
+  const enteredId = levelData[state.levelIndex]?.id;
+  state.visitCounts.set(enteredId, (state.visitCounts.get(enteredId) || 0) + 1);
+  STATS.enterLevel(enteredId);
+  resetLevelCutscene();
 
   if (wasHome) {
     state.hasLeftHome = true;
@@ -1741,76 +2719,165 @@ function finishTransition() {
     assignAndActivateSecondarySprites(state.lastEdge);
   }
 
-  // Spawn half-in on the correct side:
-  // - came from LEFT edge => you were walking left => new level, appear on RIGHT, half-visible
-  // - came from RIGHT edge => you were walking right => new level, appear on LEFT, half-visible
-const w = player.renderW;
-const off = w * 0.25;     // 1/4 off-screen
-const visible = w * 0.75; // 3/4 visible
-
-if (state.lastEdge === "left") {
-  // come from left edge -> appear on right, 1/4 off to the right
-  player.x = W - visible; // == W - 0.75w
-  player.facing = -1;
-} else {
-  // come from right edge -> appear on left, 1/4 off to the left
-  player.x = -off;        // == -0.25w
-  player.facing = 1;
-}
-
-
-  setAnim("idle");
+  // The hero kept walking through the transition
+  player.x = tr.entryX + tr.dir * player.speed * (tr.durationMs / 1000);
+  player.facing = tr.dir;
   player.visible = true;
   state.transitioning = false;
+  state.transition = null;
 
-  // Reset layer animation states and start level timer for the new level
-  const newLvl = levelData[state.levelIndex];
-  if (newLvl) resetLevelLayerStates(newLvl.id);
-  state.levelEnteredAt = performance.now();
+  // The level's clock started with the transition (its layers were already playing)
+  state.levelEnteredAt = tr.startedAt;
 
   maybeActivateSpritesForCurrentLevel();
+
+  WALK_SAVE.save();
 }
 
-// =========================
-// HOME INTRO STATE MACHINE
-// =========================
-const HOME = {
-  active: false,
-  phase: 0,
-  phaseTimer: 0,
+// Hero position in each level, ms into the transition
+function transitionHeroX(tr, elapsedMs) {
+  const walked = tr.dir * player.speed * (elapsedMs / 1000);
+  return { from: tr.exitX + walked, to: tr.entryX + walked };
+}
 
-  preStart: null,
-  start1: null,
-  start2: null,
-  idle: null,
+function easeInOut(p) {
+  return p * p * (3 - 2 * p);
+}
 
-  instrStart: null,
-  instrCommands: null,
+// Draw one level as in normal play, with the hero at heroX (null = no hero)
+// and the camera on it unless cameraX is given. The draw helpers all read the
+// current level, so it is swapped in meanwhile.
+function drawSceneOf(levelIndex, enteredAt, heroX, dt, cameraX) {
+  const saved = { levelIndex: state.levelIndex, enteredAt: state.levelEnteredAt, x: player.x, visible: player.visible };
+  state.levelIndex = levelIndex;
+  state.levelEnteredAt = enteredAt;
+  player.visible = heroX !== null;
+  if (heroX !== null) player.x = heroX;
+  try {
+    drawLevelScene(dt, cameraX);
+  } finally {
+    state.levelIndex = saved.levelIndex;
+    state.levelEnteredAt = saved.enteredAt;
+    player.x = saved.x;
+    player.visible = saved.visible;
+  }
+}
 
-  underlayImg: null,
+// Run draw() against the offscreen buffer instead of the canvas (at the
+// canvas's resolution; draw the buffer back at 0, 0, W, H)
+function drawToBuffer(draw) {
+  const main = ctx;
+  if (transitionBuffer.width !== canvas.width || transitionBuffer.height !== canvas.height) {
+    transitionBuffer.width = canvas.width;
+    transitionBuffer.height = canvas.height;
+  }
+  ctx = transitionBuffer.getContext("2d");
+  VIEW.applyTransform(ctx);
+  ctx.clearRect(0, 0, W, H);
+  try {
+    draw();
+  } finally {
+    ctx = main;
+  }
+  return transitionBuffer;
+}
 
-  promptEnter: "Press Enter",
-  promptArrows: "Use ← →",
+function drawTransition(dt) {
+  const tr = state.transition;
+  const elapsed = performance.now() - tr.startedAt;
+  const p = tr.durationMs > 0 ? clamp(elapsed / tr.durationMs, 0, 1) : 1;
+  const e = easeInOut(p);
+  const hero = transitionHeroX(tr, elapsed);
+  const fromLvl = levelData[tr.fromIndex];
+  const toLvl = levelData[tr.toIndex];
+  const drawFrom = (x = hero.from, cam) => drawSceneOf(tr.fromIndex, tr.fromEnteredAt, x, dt, cam);
+  const drawTo = (x = hero.to, cam) => drawSceneOf(tr.toIndex, tr.startedAt, x, dt, cam);
+
+  switch (tr.type) {
+    case "crossfade": {
+      drawFrom();
+      const buffer = drawToBuffer(() => drawTo());
+      ctx.save();
+      ctx.globalAlpha = e;
+      ctx.drawImage(buffer, 0, 0, W, H);
+      ctx.restore();
+      break;
+    }
 
-  pauseMs: 0,
+    case "fade": {
+      // Black at the midpoint
+      if (p < 0.5) drawFrom(); else drawTo();
+      ctx.save();
+      ctx.fillStyle = `rgba(0, 0, 0, ${1 - Math.abs(1 - 2 * p)})`;
+      ctx.fillRect(0, 0, W, H);
+      ctx.restore();
+      break;
+    }
 
-  // Radio: trigger live only once
-  _radioWentLive: false,
+    case "slide": {
+      // The view pans one screen width; one hero, carried from its spot on the
+      // old screen to its spot on the new one, drawn in whichever level it overlaps
+      const camFrom = cameraXFor(fromLvl, hero.from);
+      const camTo = cameraXFor(toLvl, hero.to);
+      const shift = tr.dir * W * e;
+      const startX = hero.from - camFrom;
+      const endX = hero.to - camTo + tr.dir * W;
+      const screenX = startX + (endX - startX) * e - shift;
+      const scene = (offsetX, cam, draw) => {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(offsetX, 0, W, H);
+        ctx.clip();
+        ctx.translate(offsetX, 0);
+        draw(screenX - offsetX + cam, cam);
+        ctx.restore();
+      };
+      scene(-shift, camFrom, drawFrom);
+      scene(tr.dir * W - shift, camTo, drawTo);
+      break;
+    }
 
-  // Outro sequences
-  outro1: null,
-  outro2: null,
-  outro3: null,
-  outroUnderlayImg: null,
-  outroPauseMs: 1000,
-  outroRadioMuteFrame: 1,
-  _outroRadioMuted: false,
-};
+    case "iris": {
+      // Closes on the hero in the old level, reopens around it in the new one
+      const closing = p < 0.5;
+      const heroX = closing ? hero.from : hero.to;
+      if (closing) drawFrom(); else drawTo();
+      const cx = heroX - cameraXFor(closing ? fromLvl : toLvl, heroX) + player.renderW / 2;
+      const cy = FLOOR_Y - player.renderH / 2;
+      const maxR = Math.hypot(Math.max(cx, W - cx), Math.max(cy, H - cy));
+      const r = maxR * easeInOut(Math.abs(1 - 2 * p));
+      ctx.save();
+      ctx.fillStyle = "#000";
+      ctx.beginPath();
+      ctx.rect(0, 0, W, H);
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.fill("evenodd");
+      ctx.restore();
+      break;
+    }
 
-function isHomeLevel() {
-  return isHomeIndex(state.levelIndex);
+    default: // "cut"
+      drawTo();
+  }
 }
 
+// =========================
+// SCRIPTED STEPS (HOME intro/outro + level cutscenes)
+// =========================
+// A script (levels.json homeIntro / homeOutro / cutscene) is a list of steps:
+//   { id, layers, until, onEnter, onExit, cues }
+// layers  — draw order, back → front: "background", "layer1".."layer4" (HOME legacy
+//           layers), "underlays" / "overlays" / "sprites" (gameplay levels), or a name
+//           from the script's "sequences" / "images"
+// until   — exit condition: { sequenceDone: name } | { afterMs: n } | { key: "enter" | "arrow" }
+//           (omitted = stay until something else ends the script)
+// onEnter / onExit — actions, see SCRIPT_ACTIONS: [{ do: "ambientStart", volume, fadeMs }, …]
+// cues    — [{ sequence, frame, actions }] fired once when that sequence reaches frame
+//
+// A sequence restarts when a step starts showing it and keeps playing across
+// consecutive steps that show it. A runner ({ active, script, stepIndex, … })
+// plays one script at a time and calls its onDone after the last step.
+
 function framePlayerUpdate(seq, dt) {
   if (!seq || !seq.frames?.length) return;
 
@@ -1836,109 +2903,265 @@ function drawFrameSeq(seq) {
   ctx.drawImage(img, 0, 0, W, H);
 }
 
-function drawHomeUnderlayIfAny() {
-  if (!HOME.underlayImg) return;
-  ctx.drawImage(HOME.underlayImg, 0, 0, W, H);
+function resetFrameSeq(seq) {
+  seq.timer = 0;
+  seq.idx = 0;
+  seq.done = false;
 }
 
-// remove temporary text prompts
-function drawHomePrompts() {
-  return;
+async function loadScriptSequence(s, base) {
+  if (!s?.folder || !s?.count) return null;
+  const frames = await loadFrameSequenceCounted(`${base}${s.folder}`, Number(s.count));
+  return {
+    frames,
+    fps: Number(s.fps || 12),
+    loop: Boolean(s.loop),
+    timer: 0,
+    idx: 0,
+    done: false,
+  };
 }
 
-async function loadHomeIntroAssetsIfNeeded() {
-  const lvl = currentLevel();
-  const spec = lvl?.homeIntro;
-  if (!spec) return;
+// Load a script spec. base prefixes every file path ("" for HOME, whose paths
+// start at the project root; "assets/levels/<id>/" for level cutscenes).
+// Returns null if it has no steps.
+async function loadScript(spec, base = "") {
+  if (!Array.isArray(spec?.steps) || !spec.steps.length) return null;
 
-  if (
-    HOME.preStart && HOME.start1 && HOME.start2 && HOME.idle &&
-    HOME.instrStart && HOME.instrCommands &&
-    HOME.outro1 && HOME.outro2 && HOME.outro3
-  ) return;
+  const sequences = new Map();
+  for (const [name, s] of Object.entries(spec.sequences || {})) {
+    const seq = await loadScriptSequence(s, base);
+    if (seq) sequences.set(name, seq);
+  }
 
-  HOME.promptEnter = spec.promptEnter || HOME.promptEnter;
-  HOME.promptArrows = spec.promptArrows || HOME.promptArrows;
-  HOME.pauseMs = Number(spec.pauseMs ?? HOME.pauseMs);
+  const images = new Map();
+  for (const [name, src] of Object.entries(spec.images || {})) {
+    images.set(name, await loadImage(`${base}${src}`));
+  }
 
-  const mkSeq = async (s) => {
-    if (!s?.folder || !s?.count) return null;
-    const frames = await loadFrameSequenceCounted(s.folder, Number(s.count));
-    return {
-      frames,
-      fps: Number(s.fps || 12),
-      loop: Boolean(s.loop),
-      timer: 0,
-      idx: 0,
-      done: false,
-    };
-  };
+  // Sounds stream on first play; nothing to wait for here. Each is routed
+  // into the mixer's "sfx" bus the first time it plays.
+  const sounds = new Map();
+  for (const [name, src] of Object.entries(spec.sounds || {})) {
+    const audio = new Audio(`${base}${src}`);
+    audio.preload = "auto";
+    sounds.set(name, { audio, channel: null });
+  }
 
-  if (!HOME.preStart) HOME.preStart = await mkSeq(spec.preStart);
-  if (!HOME.start1) HOME.start1 = await mkSeq(spec.start1);
-  if (!HOME.start2) HOME.start2 = await mkSeq(spec.start2);
-  if (!HOME.idle) HOME.idle = await mkSeq(spec.idle);
+  return { steps: spec.steps, sequences, images, sounds };
+}
 
-  const instr = spec.instructions || {};
-  if (!HOME.instrStart) HOME.instrStart = await mkSeq(instr.start);
-  if (!HOME.instrCommands) HOME.instrCommands = await mkSeq(instr.commands);
+function playScriptSound(script, { name, volume = 1.0 }) {
+  const s = script.sounds.get(name);
+  if (!s) {
+    warnOnce(`script:sound:${name}`, `[script] sound "${name}" is not defined — skipped`);
+    return;
+  }
+  try {
+    if (!s.channel) s.channel = MIXER.channel("sfx", s.audio);
+    s.audio.pause();
+    s.audio.currentTime = 0;
+    MIXER.set(s.channel, volume);
+    s.audio.play().catch((e) => console.warn(`[script] sound "${name}" blocked:`, e));
+  } catch (_) {}
+}
+
+// Step actions (levels.json "do" values)
+const SCRIPT_ACTIONS = {
+  // Start the radio stream silent; needs the Enter gesture
+  radioWarmUp: () => RADIO.warmUpFromGesture(),
+  // Show widget + fade in (should be ready because warmup started earlier)
+  radioGoLive: () => RADIO.goLive(),
+  // Silence the radio and hide the widget
+  radioMute: () => {
+    RADIO.silence();
+    if (RADIO.widgetEl) {
+      RADIO.widgetEl.style.display = "none";
+      RADIO.visible = false;
+    }
+  },
+  ambientStart: (a) => HOME_AUDIO.startAmbient({ target: a.volume ?? 0.4, fadeMs: a.fadeMs ?? 1200 }),
+  ambientStop: (a) => HOME_AUDIO.stopAmbient({ fadeMs: a.fadeMs ?? 1200 }),
+  overlayPlay: (a) => HOME_OVERLAY.playOnce({ volume: a.volume ?? 1.0 }),
+  overlayStop: () => HOME_OVERLAY.stop(),
+  // One of the script's own "sounds"
+  sound: (a, script) => playScriptSound(script, a),
+};
 
-  if (!HOME.underlayImg && spec.start1?.underlay) {
-    HOME.underlayImg = await loadImage(spec.start1.underlay);
+function runScriptActions(script, actions) {
+  for (const a of actions || []) {
+    const fn = SCRIPT_ACTIONS[a?.do];
+    if (fn) fn(a, script);
+    else warnOnce(`script:action:${a?.do}`, `[script] unknown action "${a?.do}" — skipped`);
   }
+}
 
-  // Load outro assets
-  const outroSpec = lvl?.homeOutro;
-  if (outroSpec) {
-    HOME.outroPauseMs = Number(outroSpec.pauseMs ?? HOME.outroPauseMs);
-    HOME.outroRadioMuteFrame = Number(outroSpec.outro2?.radioMuteAtFrame ?? 1);
+function currentScriptStep(runner) {
+  return runner.active ? runner.script?.steps[runner.stepIndex] || null : null;
+}
 
-    if (!HOME.outro1) HOME.outro1 = await mkSeq(outroSpec.outro1);
-    if (!HOME.outro2) HOME.outro2 = await mkSeq(outroSpec.outro2);
-    if (!HOME.outro3) HOME.outro3 = await mkSeq(outroSpec.outro3);
+function enterScriptStep(runner, index) {
+  const script = runner.script;
+  const prev = script.steps[runner.stepIndex];
+  const step = script.steps[index];
+  const shownBefore = new Set(index > 0 && prev ? prev.layers || [] : []);
 
-    if (!HOME.outroUnderlayImg && outroSpec.outro3?.underlay) {
-      HOME.outroUnderlayImg = await loadImage(outroSpec.outro3.underlay);
-    }
+  for (const name of step.layers || []) {
+    const seq = script.sequences.get(name);
+    if (seq && !shownBefore.has(name)) resetFrameSeq(seq);
   }
+
+  runner.stepIndex = index;
+  runner.stepTimer = 0;
+  runner.firedCues.clear();
+  runScriptActions(script, step.onEnter);
 }
 
-function enterHomeIntroMode() {
-  HOME.active = true;
-  HOME.phase = 0;
-  HOME.phaseTimer = 0;
-  HOME._radioWentLive = false;
+function startScript(runner, script, onDone) {
+  runner.active = true;
+  runner.script = script;
+  runner.onDone = onDone;
+  runner.stepIndex = 0;
+  enterScriptStep(runner, 0);
+}
+
+function drawScriptLayer(script, name, dt) {
+  switch (name) {
+    // The level's own layers are in world space; script images are screen-sized
+    case "background": withCamera(currentCameraX(), drawBackground); return;
+    case "underlays": withCamera(currentCameraX(), () => drawUnderlays(dt)); return;
+    case "overlays": withCamera(currentCameraX(), () => drawOverlays(dt)); return;
+    case "sprites": withCamera(currentCameraX(), drawSecondary); return;
+  }
+  const legacy = /^layer([1-4])$/.exec(name);
+  if (legacy) { drawLayerN(`l${legacy[1]}`, dt); return; }
+
+  const img = script.images.get(name);
+  if (img) { ctx.drawImage(img, 0, 0, W, H); return; }
+
+  const seq = script.sequences.get(name);
+  if (seq) {
+    framePlayerUpdate(seq, dt);
+    drawFrameSeq(seq);
+    return;
+  }
+  warnOnce(`script:layer:${name}`, `[script] step layer "${name}" is not a sequence or image — skipped`);
+}
+
+function scriptStepDone(runner, step) {
+  const until = step.until;
+  if (!until) return false;
+  if (until.sequenceDone !== undefined) {
+    const seq = runner.script.sequences.get(until.sequenceDone);
+    return !seq || seq.done;
+  }
+  if (until.afterMs !== undefined) return runner.stepTimer >= Number(until.afterMs);
+  if (until.key === "enter") return input.enterPressedThisFrame;
+  if (until.key === "arrow") return input.arrowPressedThisFrame;
+  return false;
+}
+
+// Draw the current step, fire its cues and move on when its exit condition holds.
+function updateAndDrawScript(runner, dt) {
+  const step = currentScriptStep(runner);
+  if (!step) return;
+  const script = runner.script;
+
+  for (const name of step.layers || []) drawScriptLayer(script, name, dt);
+
+  runner.stepTimer += dt * 1000;
+
+  (step.cues || []).forEach((cue, i) => {
+    if (runner.firedCues.has(i)) return;
+    const seq = script.sequences.get(cue.sequence);
+    if (!seq || seq.idx < Number(cue.frame ?? 0)) return;
+    runner.firedCues.add(i);
+    runScriptActions(script, cue.actions);
+  });
+
+  if (!scriptStepDone(runner, step)) return;
+
+  runScriptActions(script, step.onExit);
+  if (runner.stepIndex + 1 < script.steps.length) {
+    enterScriptStep(runner, runner.stepIndex + 1);
+  } else {
+    runner.active = false;
+    runner.onDone?.();
+  }
+}
+
+// =========================
+// HOME INTRO STATE MACHINE
+// =========================
+// homeIntro / homeOutro are scripts (see above). After its last step the intro
+// hands over to gameplay; the outro resets the walk and starts the intro again.
+const HOME = {
+  ready: false,      // scripts loaded
+  _loading: false,
+
+  // Scripts: { steps, sequences: Map<name, seq>, images: Map<name, Image>, sounds }
+  intro: null,
+  outro: null,
+
+  // Runner state
+  active: false,
+  script: null,
+  stepIndex: 0,
+  stepTimer: 0,      // ms since the current step started
+  firedCues: new Set(),
+  onDone: null,
+
+  // Sequence drawn under the hero on HOME during gameplay (homeIntro.commandsOverlay)
+  commandsOverlay: null,
+
+  promptEnter: "Press Enter",
+  promptArrows: "Use ← →",
+};
+
+function isHomeLevel() {
+  return isHomeIndex(state.levelIndex);
+}
 
+async function loadHomeIntroAssetsIfNeeded() {
+  if (HOME.ready) return;
+  const lvl = levelData[state.homeIndex];
+  const spec = lvl?.homeIntro;
+
+  HOME.promptEnter = spec?.promptEnter || HOME.promptEnter;
+  HOME.promptArrows = spec?.promptArrows || HOME.promptArrows;
+
+  HOME.intro = await loadScript(spec);
+  HOME.outro = await loadScript(lvl?.homeOutro);
+  HOME.commandsOverlay = HOME.intro?.sequences.get(spec?.commandsOverlay) || null;
+  HOME.ready = true;
+}
+
+// True while the intro waits for Enter (mobile shows its Enter button)
+function homeWaitsForEnter() {
+  return HOME.script === HOME.intro && currentScriptStep(HOME)?.until?.key === "enter";
+}
+
+function enterHomeIntroMode() {
   state.gameplayEnabled = false;
   player.visible = false;
 
-  for (const seq of [
-    HOME.preStart, HOME.start1, HOME.start2, HOME.idle,
-    HOME.instrStart, HOME.instrCommands,
-    HOME.outro1, HOME.outro2, HOME.outro3
-  ]) {
-    if (!seq) continue;
-    seq.timer = 0;
-    seq.idx = 0;
-    seq.done = false;
+  // No intro configured: go straight to walking
+  if (!HOME.intro) {
+    handoffHomeToGameplay();
+    return;
   }
+  startScript(HOME, HOME.intro, handoffHomeToGameplay);
 }
 
 function triggerOutro() {
   state.gameplayEnabled = false;
   player.visible = false;
 
-  HOME.active = true;
-  HOME.phase = 10;
-  HOME.phaseTimer = 0;
-  HOME._outroRadioMuted = false;
-
-  for (const seq of [HOME.outro1, HOME.outro2, HOME.outro3]) {
-    if (!seq) continue;
-    seq.timer = 0;
-    seq.idx = 0;
-    seq.done = false;
+  if (!HOME.outro) {
+    finishHomeOutro();
+    return;
   }
+  startScript(HOME, HOME.outro, finishHomeOutro);
 }
 
 function handoffHomeToGameplay() {
@@ -1957,248 +3180,644 @@ function handoffHomeToGameplay() {
   setAnim(vx === 0 ? "idle" : "walk");
 
   HOME.active = false;
+  HOME.script = null;
 
   // Keep widget visible afterwards if it was shown
   if (RADIO.loaded) RADIO.ensureVisible();
 }
 
+// Outro complete — reset the walk and return to the intro
+function finishHomeOutro() {
+  // Reset game state
+  state.hasLeftHome = false;
+  state.popupTriggeredThisReturn = false;
+  state.dropX = null;
+  state.visitedLevels.clear();
+  state.visitCounts.clear();
+  state.cutscenesPlayed.clear();
+  WALK_SAVE.clear();
+
+  // Deactivate all secondary sprites — new random assignment on next departure
+  secondaryActivated = false;
+  heroDirection = 0;
+  for (const s of secondaryStates) { s.active = false; s.assigned = false; s.spawnX = undefined; s.direction = 0; s.effectiveDepthOffset = undefined; }
+
+  // Reset radio fully so it can warm up fresh on next Enter
+  RADIO.playRequested = false;
+  RADIO.warmStarted = false;
+  RADIO.liveEnabled = false;
+  RADIO.silence();
+  if (RADIO.audio) {
+    try { RADIO.audio.pause(); } catch (_) {}
+  }
+
+  enterHomeIntroMode();
+}
+
 function drawCommandsOverlayUnderHero(dt) {
   if (!isHomeLevel()) return;
-  if (!HOME.instrCommands) return;
+  if (!HOME.commandsOverlay) return;
 
-  framePlayerUpdate(HOME.instrCommands, dt);
-  drawFrameSeq(HOME.instrCommands);
+  framePlayerUpdate(HOME.commandsOverlay, dt);
+  drawFrameSeq(HOME.commandsOverlay);
 }
 
 function updateAndDrawHome(dt) {
-  if (!HOME.active) return;
+  updateAndDrawScript(HOME, dt);
+}
 
-  const drawTopUI = () => {
-    drawLayer3(dt); // title
-    drawHomePrompts();
-  };
+// =========================
+// LEVEL CUTSCENES
+// =========================
+// A gameplay level may define one "cutscene" script in levels.json, with file
+// paths relative to its folder and a trigger:
+//   trigger: { heroX?: n, afterMs?: n, visit?: n }   — all given conditions must hold
+//     heroX   — the hero's center crosses this x (either direction)
+//     afterMs — time on the level (since the hero entered)
+//     visit   — only on the Nth visit to this level in the current walk
+//   repeat: false — play once per walk (true: once per visit)
+// While it plays the hero is hidden and input only drives the script; afterwards
+// the hero reappears where it stood (or centered on resumeX) and walking resumes.
+const CUTSCENE = {
+  // Runner state
+  active: false,
+  script: null,
+  stepIndex: 0,
+  stepTimer: 0,
+  firedCues: new Set(),
+  onDone: null,
+
+  levelId: null,
+  firedThisVisit: false,
+};
 
-  // Phase 0
-  if (HOME.phase === 0) {
-    framePlayerUpdate(HOME.preStart, dt);
-    drawFrameSeq(HOME.preStart);
-    drawBackground();
+function levelCutscene() {
+  const lvl = currentLevel();
+  const script = currentLevelAssets()?.cutscene;
+  if (!lvl?.cutscene || !script) return null;
+  return { spec: lvl.cutscene, script };
+}
 
-    if (HOME.instrStart) {
-      framePlayerUpdate(HOME.instrStart, dt);
-      drawFrameSeq(HOME.instrStart);
-    }
+// Called on every level entry
+function resetLevelCutscene() {
+  CUTSCENE.firedThisVisit = false;
+}
 
-    drawTopUI();
+// Check the current level's trigger; prevCenterX = hero center before this frame's move.
+function maybeTriggerCutscene(prevCenterX) {
+  if (CUTSCENE.active || CUTSCENE.firedThisVisit || state.transitioning || isHomeLevel()) return;
+  const cs = levelCutscene();
+  if (!cs) return;
 
-    if (input.enterPressedThisFrame) {
-      // IMPORTANT: start warmup here (user gesture)
-      RADIO.warmUpFromGesture();
+  const lvl = currentLevel();
+  const { spec, script } = cs;
+  if (!spec.repeat && state.cutscenesPlayed.has(lvl.id)) return;
 
-      // NEW: start home ambient (user gesture)
-      HOME_AUDIO.startAmbient({ target: 0.4, fadeMs: 1200 });
+  const trigger = spec.trigger || {};
+  if (trigger.visit !== undefined && (state.visitCounts.get(lvl.id) || 0) !== Number(trigger.visit)) return;
 
-      HOME.phase = 1;
-      HOME.start1.timer = 0;
-      HOME.start1.idx = 0;
-      HOME.start1.done = false;
-    }
-    return;
+  if (trigger.afterMs !== undefined) {
+    const ltMs = performance.now() - (state.levelEnteredAt ?? performance.now());
+    if (ltMs < Number(trigger.afterMs)) return;
   }
 
-  // Phase 1
-  if (HOME.phase === 1) {
-    framePlayerUpdate(HOME.start1, dt);
-    drawFrameSeq(HOME.start1);
-    drawBackground();
-    drawTopUI();
+  if (trigger.heroX !== undefined) {
+    const x = Number(trigger.heroX);
+    const centerX = player.x + player.renderW / 2;
+    const crossed = (prevCenterX < x && centerX >= x) || (prevCenterX > x && centerX <= x);
+    if (!crossed) return;
+  }
 
-    if (HOME.start1?.done) {
-      HOME.phase = 2;
-      HOME.phaseTimer = 0;
+  CUTSCENE.firedThisVisit = true;
+  CUTSCENE.levelId = lvl.id;
+  state.cutscenesPlayed.add(lvl.id);
 
-      // NEW: play overlay once at the beginning of phase 2
-      HOME_OVERLAY.playOnce({ volume: 1.0 });
-    }
-    return;
-  }
+  player.visible = false;
+  setAnim("idle");
+  console.log(`[cutscene] "${lvl.id}" started`);
+  startScript(CUTSCENE, script, () => handoffCutsceneToGameplay(spec));
+}
 
-  // Phase 2 pause
-  if (HOME.phase === 2) {
-    drawHomeUnderlayIfAny();
-    drawBackground();
-    drawTopUI();
+function handoffCutsceneToGameplay(spec) {
+  if (spec.resumeX !== undefined) player.x = Number(spec.resumeX) - player.renderW / 2;
+  player.x = clamp(player.x, 0, currentWorldW() - player.renderW);
 
-    HOME.phaseTimer += dt * 1000;
-    if (HOME.phaseTimer >= HOME.pauseMs) {
-      HOME.phase = 3;
-      HOME.start2.timer = 0;
-      HOME.start2.idx = 0;
-      HOME.start2.done = false;
-    }
-    return;
-  }
+  if (input.left) player.facing = -1;
+  if (input.right) player.facing = 1;
 
-  // Phase 3 start2
-  if (HOME.phase === 3) {
-    drawHomeUnderlayIfAny();
-    drawBackground();
+  player.visible = true;
+
+  const vx = (input.left ? -1 : 0) + (input.right ? 1 : 0);
+  setAnim(vx === 0 ? "idle" : "walk");
+
+  CUTSCENE.script = null;
+  console.log(`[cutscene] "${CUTSCENE.levelId}" done`);
+}
+
+// =========================
+// WALK SAVE (resume after reload)
+// =========================
+// finishTransition stores the walk in localStorage ("levelq.walk"); at boot a
+// saved walk is offered for resume. Resuming skips the HOME intro and puts the
+// hero back on the same level, with the same carousel and secondary sprite
+// plan. Levels are stored by id, so reordering levels.json keeps a save; a
+// removed level discards it. Completing the walk (HOME outro) clears it.
+// Not used with ?debug=true (jumps would overwrite the real walk).
+const WALK_SAVE = {
+  key: "levelq.walk",
+  version: 1,
+  enabled: new URLSearchParams(window.location.search).get("debug") !== "true",
+
+  promptEl: null,
+
+  save() {
+    if (!this.enabled || state.homeOnly) return;
+    const idOf = (i) => levelData[i]?.id;
+    const walk = {
+      version: this.version,
+      savedAt: Date.now(),
+      carousel: state.carousel.map(idOf),
+      carouselPos: state.carouselPos,
+      visited: [...state.visitedLevels].map(idOf),
+      visitCounts: Object.fromEntries(state.visitCounts),
+      cutscenesPlayed: [...state.cutscenesPlayed],
+      hasLeftHome: state.hasLeftHome,
+      dropX: state.dropX,
+      lastEdge: state.lastEdge,
+      hero: { x: player.x, facing: player.facing },
+      heroDirection,
+      // sprites.json ids, so the plan survives a reordered sprites.json
+      sprites: secondaryActivated
+        ? secondaryStates.map((s, i) => ({
+            id: SECONDARY_SPRITES[i]?.id,
+            assigned: Boolean(s.assigned),
+            active: Boolean(s.active),
+            carouselPos: s.carouselPos,
+            direction: s.direction,
+            spawnX: s.spawnX,
+            x: s.x,
+            facing: s.facing,
+            effectiveDepthOffset: s.effectiveDepthOffset,
+          }))
+        : null,
+    };
+    try { localStorage.setItem(this.key, JSON.stringify(walk)); } catch (_) {}
+  },
 
-    framePlayerUpdate(HOME.start2, dt);
-    drawFrameSeq(HOME.start2);
-    drawTopUI();
+  clear() {
+    try { localStorage.removeItem(this.key); } catch (_) {}
+  },
 
-    if (HOME.start2?.done) {
-      // NEW: we’re about to enter idle/radio phase → fade out ambient
-      HOME_AUDIO.stopAmbient({ fadeMs: 1400 });
+  // The saved walk with level ids resolved to indices, or null if there is
+  // none or it no longer fits levels.json
+  load() {
+    let walk = null;
+    try { walk = JSON.parse(localStorage.getItem(this.key) || "null"); } catch (_) {}
+    if (!walk || walk.version !== this.version || !Array.isArray(walk.carousel)) return null;
+
+    const indexOf = (id) => levelData.findIndex((l) => l.id === id);
+    const carousel = walk.carousel.map(indexOf);
+    const levelIndex = carousel[walk.carouselPos];
+    if (!carousel.length || carousel.includes(-1) || levelIndex === undefined) {
+      console.warn("[WALK] saved walk doesn't match levels.json any more — discarded");
+      this.clear();
+      return null;
+    }
+    const visited = (Array.isArray(walk.visited) ? walk.visited : []).map(indexOf).filter((i) => i !== -1);
+    return { ...walk, carousel, levelIndex, visited };
+  },
+
+  restore(walk) {
+    state.carousel = walk.carousel;
+    state.carouselPos = walk.carouselPos;
+    state.levelIndex = walk.levelIndex;
+    state.visitedLevels.clear();
+    walk.visited.forEach((i) => state.visitedLevels.add(i));
+    state.visitCounts.clear();
+    for (const [id, n] of Object.entries(walk.visitCounts || {})) state.visitCounts.set(id, Number(n) || 0);
+    state.cutscenesPlayed.clear();
+    (walk.cutscenesPlayed || []).forEach((id) => state.cutscenesPlayed.add(id));
+    state.hasLeftHome = walk.hasLeftHome === true;
+    state.popupTriggeredThisReturn = false;
+    state.dropX = typeof walk.dropX === "number" ? walk.dropX : null;
+    state.lastEdge = walk.lastEdge ?? null;
 
-      HOME.phase = 5; // jump directly to idle mode
-      HOME.idle.timer = 0;
-      HOME.idle.idx = 0;
-      HOME.idle.done = false;
+    player.x = Number(walk.hero?.x) || 0;
+    player.facing = walk.hero?.facing === -1 ? -1 : 1;
+    heroDirection = walk.heroDirection === -1 ? -1 : walk.heroDirection === 1 ? 1 : 0;
 
-      if (HOME.instrCommands) {
-        HOME.instrCommands.timer = 0;
-        HOME.instrCommands.idx = 0;
-        HOME.instrCommands.done = false;
+    if (Array.isArray(walk.sprites)) {
+      secondaryActivated = true;
+      for (const sp of walk.sprites) {
+        const i = SECONDARY_SPRITES.findIndex((c) => c.id === sp?.id);
+        const s = secondaryStates[i];
+        if (!s || !(sp.carouselPos >= 0 && sp.carouselPos < state.carousel.length)) continue;
+        Object.assign(s, {
+          assigned: sp.assigned,
+          active: sp.active,
+          carouselPos: sp.carouselPos,
+          direction: sp.direction,
+          spawnX: sp.spawnX,
+          x: Number(sp.x) || 0,
+          facing: sp.facing,
+          effectiveDepthOffset: sp.effectiveDepthOffset,
+          frameIndex: 0,
+          frameTimer: 0,
+        });
       }
     }
-    return;
-  }
+  },
+
+  // Like finishTransition + handoffHomeToGameplay, without the intro. The
+  // Resume press is the user gesture the radio needs to start.
+  enterGameplay() {
+    const lvl = currentLevel();
+    resetLevelLayerStates(lvl.id);
+    resetLevelCutscene();
+    state.levelEnteredAt = performance.now();
+    state.gameplayEnabled = true;
+    player.visible = true;
+    setAnim("idle");
+
+    LEVEL_AUDIO.enterLevel(levelAssets.get(lvl.id) || null);
+    RADIO.goLive();
+
+    // HOME's outro and commands overlay are still needed later in the walk
+    loadHomeIntroAssetsIfNeeded().catch((e) => console.error(e));
+    console.log(`[WALK] resumed on level "${lvl.id}" (${state.visitedLevels.size} visited)`);
+  },
+
+  // Resolves "resume" (Enter / button) or "fresh" (Esc / button)
+  ask(walk) {
+    this.promptEl = document.getElementById("resumePrompt");
+    if (!this.promptEl) return Promise.resolve("fresh");
+
+    const lvl = levelData[walk.levelIndex];
+    const total = walk.carousel.filter((i) => i !== state.homeIndex).length;
+    const seen = walk.visited.filter((i) => i !== state.homeIndex).length;
+    document.getElementById("resumeDetail").textContent =
+      `${lvl.name || lvl.id} · ${seen} of ${total} levels visited`;
+    this.promptEl.hidden = false;
+
+    return new Promise((resolve) => {
+      const resumeBtn = document.getElementById("resumeWalk");
+      const freshBtn = document.getElementById("resumeFresh");
+      let padRaf = 0;
+      const done = (choice) => {
+        cancelAnimationFrame(padRaf);
+        window.removeEventListener("keydown", onKey);
+        resumeBtn?.removeEventListener("click", onResume);
+        freshBtn?.removeEventListener("click", onFresh);
+        this.promptEl.hidden = true;
+        resolve(choice);
+      };
+      const onResume = () => done("resume");
+      const onFresh = () => done("fresh");
+      const onKey = (e) => {
+        if (CONTROLS.actionForKey(e.key) === "confirm") { e.preventDefault(); onResume(); }
+        if (e.key === "Escape") { e.preventDefault(); onFresh(); }
+      };
+      // The game loop isn't running yet: watch the gamepad's confirm here
+      const pollPad = () => {
+        CONTROLS.pollGamepads();
+        if (input.enterPressedThisFrame) onResume();
+        else padRaf = requestAnimationFrame(pollPad);
+      };
+      input.enterPressedThisFrame = false;
+      window.addEventListener("keydown", onKey);
+      padRaf = requestAnimationFrame(pollPad);
+      resumeBtn?.addEventListener("click", onResume);
+      freshBtn?.addEventListener("click", onFresh);
+      resumeBtn?.focus();
+    });
+  },
+
+  // Boot: offer a saved walk before the first frame
+  async offerAtBoot() {
+    if (!this.enabled) return;
+    const walk = this.load();
+    if (!walk) return;
 
-  // HOME idle mode (your “state 4”)
-  if (HOME.phase === 5) {
-    drawHomeUnderlayIfAny();
+    // HOME behind the prompt, dimmed
     drawBackground();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(0, 0, W, H);
 
-    if (HOME.instrCommands) {
-      framePlayerUpdate(HOME.instrCommands, dt);
-      drawFrameSeq(HOME.instrCommands);
+    const choice = await this.ask(walk);
+    // The key / tap that answered must not also drive the first frame
+    input.enterPressedThisFrame = false;
+    input.arrowPressedThisFrame = false;
+
+    if (choice === "resume") {
+      this.restore(walk);
+      this.enterGameplay();
+    } else {
+      this.clear();
     }
+  },
+};
 
-    framePlayerUpdate(HOME.idle, dt);
-    drawFrameSeq(HOME.idle);
+// =========================
+// STATS + JOURNAL
+// =========================
+// Progress kept across walks in localStorage ("levelq.stats"):
+//   levels:  { [levelId]: { firstSeenAt, visits, timeMs } }  — every level ever entered
+//   loops:   full loops completed (outro reached)
+//   sprites: { [spriteId]: { firstMetAt } }                   — secondary sprites met on screen
+// Like WALK_SAVE it is not written with ?debug=true.
+//
+// The journal is a canvas screen opened from HOME (J or the Journal button):
+// discovered levels show a thumbnail of their background, undiscovered ones a
+// silhouette; the same for the secondary sprites met so far.
+const STATS = {
+  key: "levelq.stats",
+  version: 1,
+  enabled: new URLSearchParams(window.location.search).get("debug") !== "true",
+
+  levels: {},
+  loops: 0,
+  sprites: {},
+
+  dirty: false,
+  lastSavedAt: 0,
+  saveEveryMs: 10000, // time spent is written at most this often (and on leaving the page)
+
+  load() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(this.key) || "null"); } catch (_) {}
+    if (!saved || saved.version !== this.version) return;
+    this.levels = saved.levels && typeof saved.levels === "object" ? saved.levels : {};
+    this.loops = Number(saved.loops) || 0;
+    this.sprites = saved.sprites && typeof saved.sprites === "object" ? saved.sprites : {};
+  },
 
-    drawTopUI();
+  save() {
+    this.dirty = false;
+    this.lastSavedAt = performance.now();
+    if (!this.enabled) return;
+    try {
+      localStorage.setItem(this.key, JSON.stringify({
+        version: this.version,
+        levels: this.levels,
+        loops: this.loops,
+        sprites: this.sprites,
+      }));
+    } catch (_) {}
+  },
 
-    // RADIO: show widget + unmute/fade in (should be ready because warmup started earlier)
-    if (!HOME._radioWentLive) {
-      HOME._radioWentLive = true;
-      RADIO.goLive();
-    }
+  level(id) {
+    if (!this.levels[id]) this.levels[id] = { firstSeenAt: Date.now(), visits: 0, timeMs: 0 };
+    return this.levels[id];
+  },
 
-    if (input.arrowPressedThisFrame) {
-      handoffHomeToGameplay();
-    }
-    return;
-  }
+  // finishTransition
+  enterLevel(id) {
+    if (!id) return;
+    this.level(id).visits++;
+    this.save();
+  },
 
-  // ========== OUTRO PHASES ==========
+  // Every gameplay frame on the current level
+  addTime(id, dt) {
+    if (!id) return;
+    this.level(id).timeMs += dt * 1000;
+    this.dirty = true;
+    if (performance.now() - this.lastSavedAt >= this.saveEveryMs) this.save();
+  },
 
-  // Phase 10: Play outro_1 (2 frames, once)
-  if (HOME.phase === 10) {
-    drawBackground();
-    framePlayerUpdate(HOME.outro1, dt);
-    drawFrameSeq(HOME.outro1);
+  completeLoop() {
+    this.loops++;
+    this.save();
+  },
 
-    if (HOME.outro1?.done) {
-      HOME.phase = 11;
-      HOME.outro2.timer = 0;
-      HOME.outro2.idx = 0;
-      HOME.outro2.done = false;
-    }
-    return;
-  }
+  meetSprite(id) {
+    if (id === undefined || this.sprites[id]) return;
+    this.sprites[id] = { firstMetAt: Date.now() };
+    this.save();
+  },
 
-  // Phase 11: Play outro_2 (10 frames, once) with underlay; mute radio at specified frame
-  if (HOME.phase === 11) {
-    if (HOME.outroUnderlayImg) {
-      ctx.drawImage(HOME.outroUnderlayImg, 0, 0, W, H);
-    }
-    drawBackground();
+  isDiscovered(id) {
+    return Boolean(this.levels[id]);
+  },
+};
 
-    framePlayerUpdate(HOME.outro2, dt);
-    drawFrameSeq(HOME.outro2);
+STATS.load();
 
-    // Mute radio and hide widget at the specified frame
-    if (!HOME._outroRadioMuted && HOME.outro2.idx >= HOME.outroRadioMuteFrame) {
-      HOME._outroRadioMuted = true;
-      if (RADIO.audio) {
-        RADIO.audio.muted = true;
-      }
-      if (RADIO.widgetEl) {
-        RADIO.widgetEl.style.display = "none";
-        RADIO.visible = false;
-      }
-      HOME_AUDIO.startAmbient({ target: 0.4, fadeMs: 1200 });
-    }
+window.addEventListener("pagehide", () => { if (STATS.dirty) STATS.save(); });
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden" && STATS.dirty) STATS.save();
+});
+
+const JOURNAL = {
+  open: false,
+  page: 0,
+
+  // Layout (canvas px)
+  cols: 4,
+  rows: 2,
+  tileW: 256,
+  tileH: 144,
+  gapX: 24,
+  rowH: 192,         // tile + name/stats lines
+  gridTop: 124,
+  spriteRowTop: 548,
+  spriteH: 84,
+
+  thumbs: new Map(), // `${levelId}:${discovered}` -> canvas
+  spriteThumbs: new Map(),
+
+  buttonEl: null,
+  _buttonShown: null,
+
+  // HOME, outside the outro and any cutscene
+  canOpen() {
+    return isHomeLevel() && !state.transitioning && !CUTSCENE.active && !(HOME.active && HOME.script === HOME.outro);
+  },
 
-    if (HOME.outro2?.done) {
-      HOME.phase = 12;
-      HOME.phaseTimer = 0;
-      HOME_OVERLAY.playOnce({ volume: 1.0 });
+  toggle() {
+    if (this.open) {
+      this.open = false;
+    } else if (this.canOpen()) {
+      this.open = true;
+      this.page = 0;
+      if (STATS.dirty) STATS.save();
     }
-    return;
-  }
+    this.syncButton();
+  },
+
+  // Levels that can turn up in a walk (carousel order rules: no HOME, test or excluded levels)
+  entries() {
+    return Carousel.nonHomeIndices(state, carouselCfg).map((i) => levelData[i]);
+  },
 
-  // Phase 12: Pause (adjustable delay). Show underlay. home_overlay.mp3 plays.
-  if (HOME.phase === 12) {
-    if (HOME.outroUnderlayImg) {
-      ctx.drawImage(HOME.outroUnderlayImg, 0, 0, W, H);
+  pageCount() {
+    return Math.max(1, Math.ceil(this.entries().length / (this.cols * this.rows)));
+  },
+
+  // While open the journal takes the arrows (← → page) and the game waits
+  update() {
+    if (!input.arrowPressedThisFrame) return;
+    const pages = this.pageCount();
+    if (input.left) this.page = (this.page - 1 + pages) % pages;
+    if (input.right) this.page = (this.page + 1) % pages;
+  },
+
+  // Offscreen thumbnail: the background, or a dark blurred silhouette of it
+  levelThumb(lvl, discovered) {
+    const key = `${lvl.id}:${discovered}`;
+    let c = this.thumbs.get(key);
+    if (c) return c;
+
+    c = document.createElement("canvas");
+    c.width = this.tileW;
+    c.height = this.tileH;
+    const g = c.getContext("2d");
+    const img = levelAssets.get(lvl.id)?.bgImg;
+    const srcW = img ? img.width * W / levelWorldW(lvl) : 0; // first screen of a wide level
+    if (img && discovered) {
+      g.drawImage(img, 0, 0, srcW, img.height, 0, 0, c.width, c.height);
+    } else if (img && "filter" in g) {
+      g.filter = "grayscale(1) brightness(0.2) blur(4px)";
+      g.drawImage(img, 0, 0, srcW, img.height, -8, -8, c.width + 16, c.height + 16);
+    } else {
+      g.fillStyle = "#1a1a1a";
+      g.fillRect(0, 0, c.width, c.height);
     }
-    drawBackground();
+    this.thumbs.set(key, c);
+    return c;
+  },
 
-    HOME.phaseTimer += dt * 1000;
-    if (HOME.phaseTimer >= HOME.outroPauseMs) {
-      HOME.phase = 13;
-      HOME.outro3.timer = 0;
-      HOME.outro3.idx = 0;
-      HOME.outro3.done = false;
+  // First frame of a secondary sprite, or its black silhouette
+  spriteThumb(i, met) {
+    const key = `${i}:${met}`;
+    let c = this.spriteThumbs.get(key);
+    if (c) return c;
+
+    const img = secondaryStates[i]?.frames[0];
+    if (!img || !img.complete || !img.naturalWidth) return null;
+    c = document.createElement("canvas");
+    c.height = this.spriteH;
+    c.width = Math.max(1, Math.round(img.naturalWidth * (this.spriteH / img.naturalHeight)));
+    const g = c.getContext("2d");
+    g.drawImage(img, 0, 0, c.width, c.height);
+    if (!met) {
+      g.globalCompositeOperation = "source-in";
+      g.fillStyle = "rgba(8, 8, 8, 0.92)";
+      g.fillRect(0, 0, c.width, c.height);
     }
-    return;
-  }
+    this.spriteThumbs.set(key, c);
+    return c;
+  },
 
-  // Phase 13: Play outro_3 (20 frames, once), under background
-  if (HOME.phase === 13) {
-    framePlayerUpdate(HOME.outro3, dt);
-    drawFrameSeq(HOME.outro3);
-    drawBackground();
+  draw() {
+    const levels = this.entries();
+    const perPage = this.cols * this.rows;
+    const pages = this.pageCount();
+    this.page = Math.min(this.page, pages - 1);
+    const discovered = levels.filter((l) => STATS.isDiscovered(l.id)).length;
+    const met = SECONDARY_SPRITES.filter((c) => STATS.sprites[c.id]).length;
 
-    if (HOME.outro3?.done) {
-      HOME.phase = 14;
-    }
-    return;
-  }
+    ctx.save();
+    ctx.fillStyle = "#101014";
+    ctx.fillRect(0, 0, W, H);
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    ctx.font = "bold 30px ui-sans-serif, system-ui";
+    ctx.fillText("Journal", W / 2, 58);
+    ctx.font = "15px ui-sans-serif, system-ui";
+    ctx.fillStyle = "rgba(255,255,255,0.75)";
+    const loops = STATS.loops === 1 ? "1 loop" : `${STATS.loops} loops`;
+    ctx.fillText(`${discovered} of ${levels.length} levels discovered · ${loops} completed · ${met} of ${SECONDARY_SPRITES.length} met`, W / 2, 88);
+
+    // Level grid
+    const gridW = this.cols * this.tileW + (this.cols - 1) * this.gapX;
+    const left = (W - gridW) / 2;
+    levels.slice(this.page * perPage, (this.page + 1) * perPage).forEach((lvl, k) => {
+      const x = left + (k % this.cols) * (this.tileW + this.gapX);
+      const y = this.gridTop + Math.floor(k / this.cols) * this.rowH;
+      const seen = STATS.levels[lvl.id];
+
+      ctx.drawImage(this.levelThumb(lvl, Boolean(seen)), x, y);
+      ctx.strokeStyle = "rgba(255,255,255,0.2)";
+      ctx.strokeRect(x + 0.5, y + 0.5, this.tileW - 1, this.tileH - 1);
+
+      ctx.textAlign = "left";
+      if (seen) {
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "bold 14px ui-sans-serif, system-ui";
+        ctx.fillText(lvl.name || lvl.id, x, y + this.tileH + 20);
+        ctx.fillStyle = "rgba(255,255,255,0.65)";
+        ctx.font = "12px ui-sans-serif, system-ui";
+        const visits = seen.visits === 1 ? "1 visit" : `${seen.visits} visits`;
+        ctx.fillText(`${visits} · ${formatDuration(seen.timeMs)}`, x, y + this.tileH + 38);
+      } else {
+        ctx.fillStyle = "rgba(255,255,255,0.35)";
+        ctx.font = "bold 42px ui-sans-serif, system-ui";
+        ctx.textAlign = "center";
+        ctx.fillText("?", x + this.tileW / 2, y + this.tileH / 2 + 15);
+        ctx.textAlign = "left";
+        ctx.font = "14px ui-sans-serif, system-ui";
+        ctx.fillText("Not yet found", x, y + this.tileH + 20);
+      }
+    });
 
-  // Phase 14: Outro complete — return to introPreStart_idle
-  if (HOME.phase === 14) {
-    // Reset game state
-    state.hasLeftHome = false;
-    state.popupTriggeredThisReturn = false;
-    state.dropX = null;
-    state.visitedLevels.clear();
+    // Secondary sprites met on the way
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(255,255,255,0.75)";
+    ctx.font = "bold 14px ui-sans-serif, system-ui";
+    ctx.fillText("Met on the way", left, this.spriteRowTop - 12);
+    const slot = SECONDARY_SPRITES.length ? Math.min(110, gridW / SECONDARY_SPRITES.length) : 0;
+    SECONDARY_SPRITES.forEach((cfg, i) => {
+      const thumb = this.spriteThumb(i, Boolean(STATS.sprites[cfg.id]));
+      if (!thumb) return;
+      const w = Math.min(thumb.width, slot - 8);
+      const h = thumb.height * (w / thumb.width);
+      ctx.drawImage(thumb, left + i * slot + (slot - w) / 2, this.spriteRowTop + (this.spriteH - h), w, h);
+    });
 
-    // Deactivate all secondary sprites — new random assignment on next departure
-    secondaryActivated = false;
-    heroDirection = 0;
-    for (const s of secondaryStates) { s.active = false; s.assigned = false; s.spawnX = undefined; s.direction = 0; s.effectiveDepthOffset = undefined; }
+    // Footer
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    ctx.font = "13px ui-sans-serif, system-ui";
+    const paging = pages > 1 ? `Page ${this.page + 1} / ${pages} · ← → turn pages · ` : "";
+    ctx.fillText(`${paging}J / Esc close`, W / 2, H - 22);
+    ctx.restore();
+  },
 
-    // Reset radio fully so it can warm up fresh on next Enter
-    RADIO.warmStarted = false;
-    RADIO.liveEnabled = false;
-    if (RADIO.audio) {
-      try { RADIO.audio.pause(); } catch (_) {}
-      RADIO.audio.muted = true;
-      RADIO.audio.volume = 0;
+  // DOM button (bottom-left of the canvas) — shown on HOME, and while open
+  syncButton() {
+    if (!this.buttonEl) {
+      this.buttonEl = document.getElementById("journalBtn");
+      if (!this.buttonEl) return;
+      this.buttonEl.addEventListener("click", () => { this.buttonEl.blur(); this.toggle(); });
     }
+    const show = this.open || this.canOpen();
+    if (this._buttonShown !== show) {
+      this._buttonShown = show;
+      this.buttonEl.style.display = show ? "block" : "none";
+      if (show) this.placeButton();
+    }
+    this.buttonEl.textContent = this.open ? "Close journal" : "Journal";
+  },
+
+  placeButton() {
+    if (!this.buttonEl) return;
+    const rect = VIEW.rect;
+    this.buttonEl.style.left = `${Math.round(rect.left + 10)}px`;
+    this.buttonEl.style.top = `${Math.round(rect.top + rect.height - 10 - this.buttonEl.offsetHeight)}px`;
+  },
+};
 
-    // Stop overlay audio (ambient keeps playing seamlessly into phase 0)
-    HOME_OVERLAY.stop();
+VIEW.onChange(() => JOURNAL.placeButton());
 
-    // Return to intro phase 0
-    enterHomeIntroMode();
-    return;
-  }
+// 95000 → "1m 35s", 4_000_000 → "1h 6m"
+function formatDuration(ms) {
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
 }
 
 // ---------- Loop ----------
@@ -2208,15 +3827,27 @@ function loop(t) {
   const dt = Math.min(0.033, (t - lastT) / 1000);
   lastT = t;
 
+  CONTROLS.pollGamepads();
+
+  VIEW.applyTransform(ctx);
   ctx.clearRect(0, 0, W, H);
 
+  // Journal (opened from HOME) replaces the scene and holds the game
+  if (JOURNAL.open) {
+    JOURNAL.update();
+    JOURNAL.draw();
+    JOURNAL.syncButton();
+
+    input.enterPressedThisFrame = false;
+    input.arrowPressedThisFrame = false;
+
+    requestAnimationFrame(loop);
+    return;
+  }
+
   // HOME intro pipeline
   if (isHomeLevel() && !state.gameplayEnabled) {
-    if (
-      !HOME.preStart || !HOME.start1 || !HOME.start2 || !HOME.idle ||
-      !HOME.instrStart || !HOME.instrCommands ||
-      !HOME.outro1 || !HOME.outro2 || !HOME.outro3
-    ) {
+    if (!HOME.ready) {
       drawBackground();
       drawLayer3(dt);
 
@@ -2253,6 +3884,7 @@ function loop(t) {
     if (RADIO.loaded) RADIO.placeWidget();
 
     syncMobileUI();
+    JOURNAL.syncButton();
 
     input.enterPressedThisFrame = false;
     input.arrowPressedThisFrame = false;
@@ -2262,7 +3894,13 @@ function loop(t) {
   }
 
   // ============ Normal gameplay ============
-  if (!state.transitioning) {
+  STATS.addTime(currentLevel()?.id, dt);
+
+  if (CUTSCENE.active) {
+    // Hero is hidden; the world keeps moving around the cutscene
+    updateSecondarySprites(dt);
+  } else if (!state.transitioning) {
+    const prevCenterX = player.x + player.renderW / 2;
     let vx = 0;
     if (input.left) vx -= 1;
     if (input.right) vx += 1;
@@ -2272,19 +3910,19 @@ function loop(t) {
 
     player.x += vx * player.speed * dt;
 
-    // NEW: allow some off-screen travel so the HERO CENTER can cross the edge
-    // (portal swap happens at center crossing)
-    player.x = clamp(player.x, -player.renderW, W);
+    // Allow some travel past the level's ends so the hero can cross the edge
+    const worldW = currentWorldW();
+    player.x = clamp(player.x, -player.renderW, worldW);
 
-   const w = player.renderW;
-const off = w * 0.35;       // trigger when 1/4 is off-screen
-const rightTriggerX = W - (w * 0.75); // == W - 0.75w
+    const w = player.renderW;
+    const off = w * 0.35;       // trigger when 1/4 is off-screen
+    const rightTriggerX = worldW - (w * 0.75); // == worldW - 0.75w
 
-if (vx < 0 && player.x <= -off) {
-  triggerEdge("left");
-} else if (vx > 0 && player.x >= rightTriggerX) {
-  triggerEdge("right");
-}
+    if (vx < 0 && player.x <= -off) {
+      triggerEdge("left");
+    } else if (vx > 0 && player.x >= rightTriggerX) {
+      triggerEdge("right");
+    }
 
     // Check if player has walked back to the original drop-in x on home
     // Only trigger if ALL non-home levels have been visited (full loop)
@@ -2294,24 +3932,19 @@ if (vx < 0 && player.x <= -off) {
       state.dropX !== null &&
       !state.popupTriggeredThisReturn &&
       Math.abs(player.x - state.dropX) <= 12 &&
-      (state.homeOnly || nonHomeIndices().every(i => state.visitedLevels.has(i)))
+      fullLoopVisited()
     ) {
       state.popupTriggeredThisReturn = true;
+      STATS.completeLoop();
       triggerOutro();
     }
 
-
-    const fps = currentFps();
-    player.frameTimer += dt;
-    if (player.frameTimer >= 1 / fps) {
-      player.frameTimer -= 1 / fps;
-      const framesLen = currentFrames().length || 1;
-      player.frameIndex = (player.frameIndex + 1) % framesLen;
-    }
-
+    stepHeroAnim(dt);
     updateSecondarySprites(dt);
+    maybeTriggerCutscene(prevCenterX);
   } else {
-    // Still update sprites during hero transition so they keep moving seamlessly
+    // The hero walks on through the transition; sprites keep moving too
+    stepHeroAnim(dt);
     updateSecondarySprites(dt);
     if (performance.now() >= state.transitionUntil) finishTransition();
   }
@@ -2322,11 +3955,42 @@ if (vx < 0 && player.x <= -off) {
   }
 
   // Draw normal level
+  if (CUTSCENE.active) {
+    // The cutscene's steps decide what is drawn (usually background, underlays, …)
+    updateAndDrawScript(CUTSCENE, dt);
+  } else if (state.transitioning) {
+    drawTransition(dt);
+  } else {
+    drawLevelScene(dt);
+  }
+
+  drawPopup(dt);
+
+  syncMobileUI();
+  JOURNAL.syncButton();
+
+  input.enterPressedThisFrame = false;
+  input.arrowPressedThisFrame = false;
+
+  requestAnimationFrame(loop);
+}
+
+function stepHeroAnim(dt) {
+  const fps = currentFps();
+  player.frameTimer += dt;
+  if (player.frameTimer >= 1 / fps) {
+    player.frameTimer -= 1 / fps;
+    const framesLen = currentFrames().length || 1;
+    player.frameIndex = (player.frameIndex + 1) % framesLen;
+  }
+}
+
+// The current level as seen in normal play (camera on the hero by default)
+function drawLevelScene(dt, cameraX = currentCameraX()) {
   if (isHomeLevel()) {
     // HOME uses legacy layer system (untouched)
     // Hide title + instructions when returning after a full loop
-    const fullLoop = state.hasLeftHome &&
-      (state.homeOnly || nonHomeIndices().every(i => state.visitedLevels.has(i)));
+    const fullLoop = state.hasLeftHome && fullLoopVisited();
     drawLayer1(dt);
     drawBackground();
     if (!fullLoop) drawCommandsOverlayUnderHero(dt);
@@ -2339,21 +4003,14 @@ if (vx < 0 && player.x <= -off) {
   } else {
     // Gameplay levels use new overlay/underlay system
     // Order (back → front): background → underlays → secondary → hero → overlays
-    drawBackground();
-    drawUnderlays(dt);
-    drawSecondary();
-    drawPlayer();
-    drawOverlays(dt);
+    withCamera(cameraX, () => {
+      drawBackground();
+      drawUnderlays(dt);
+      drawSecondary();
+      drawPlayer();
+      drawOverlays(dt);
+    });
   }
-
-  drawPopup(dt);
-
-  syncMobileUI();
-
-  input.enterPressedThisFrame = false;
-  input.arrowPressedThisFrame = false;
-
-  requestAnimationFrame(loop);
 }
 
 // ---------- Debug params ----------
@@ -2386,15 +4043,14 @@ function applyDebugParams() {
       console.warn(`[debug] level "${targetId}" not found`);
     } else {
       // Pre-build full carousel so sprite traversal works
-      while (usedNonHomeCount() < nonHomeIndices().length) {
-        state.carousel.push(pickUnusedNonHomeLevelIndex());
-      }
+      fillCarousel();
       state.levelIndex = idx;
       state.carouselPos = state.carousel.indexOf(idx);
       if (state.carouselPos === -1) {
         state.carousel.push(idx);
         state.carouselPos = state.carousel.length - 1;
       }
+      state.visitCounts.set(targetId, 1);
       console.log(`[debug] jumped to level "${targetId}" (carouselPos=${state.carouselPos})`);
     }
   }
@@ -2424,6 +4080,8 @@ function applyDebugParams() {
 }
 
 // ---------- Boot ----------
+VIEW.fit();
+
 // sprites.json must load before loadAllSecondarySprites so SECONDARY_SPRITES is populated
 Promise.all([loadSpritesConfig(), loadCarouselConfig()])
   .then(() => Promise.all([
@@ -2432,7 +4090,8 @@ Promise.all([loadSpritesConfig(), loadCarouselConfig()])
     loadAllSecondarySprites(),
     RADIO.loadStations(),
   ]))
-  .then(() => { applyDebugParams(); requestAnimationFrame(loop); })
+  .then(() => { applyDebugParams(); return WALK_SAVE.offerAtBoot(); })
+  .then(() => requestAnimationFrame(loop))
   .catch((e) => {
     console.error(e);
     ctx.clearRect(0, 0, W, H);
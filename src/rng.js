@@ -0,0 +1,28 @@
+// Seeded random helpers — shared by the game (src/main.js, see RNG), the
+// uploader's live preview and Node tooling.
+//
+// Pure logic, no DOM. mulberry32(seed) returns a Math.random()-like function,
+// so anything taking a `rand` can be handed a reproducible stream:
+//
+//   const rand = mulberry32(hashString("1234:carousel"));
+
+// FNV-1a 32-bit
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Small, fast 32-bit PRNG. Returns a Math.random()-like function: [0, 1).
+export function mulberry32(a) {
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
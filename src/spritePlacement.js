@@ -0,0 +1,159 @@
+// Secondary sprite placement — which carousel stop each secondary character
+// starts on, where on screen it drops in and which way it walks.
+//
+// Pure logic, no DOM: the game (src/main.js) and Node tooling share it.
+// Screen positions use quadrants 0=A … 5=F (six equal columns, left to right).
+
+// Valid drop quadrant indices (0=A … 5=F) for hero entering from the LEFT (going right).
+// Mirrored automatically when hero enters from the right.
+export const SPRITE_QUADRANT_RULES = {
+  opposite_slow:    [2, 3, 4, 5],    // C–F  (slow oncoming — give it room)
+  opposite_similar: [3, 4, 5],       // D–F  (similar speed — needs more runway)
+  opposite_fast:    [3, 4, 5],       // D–F  (fast oncoming — same)
+  same_slow:        [0, 1, 2, 3],    // A–D  (hero catches up)
+  same_similar:     [2, 3, 4, 5],    // C–F  (avoid A/B — parallel-walk risk)
+  same_fast:        [0, 1, 2, 3, 4], // A–E  (escapes ahead; F exits immediately)
+};
+
+// Most sprites a single level can be given
+export const MAX_SPRITES_PER_LEVEL = 4;
+
+export function spriteSpeedTier(speed, heroSpeed = 90) {
+  const ratio = speed / (heroSpeed || 90);
+  if (ratio < 0.7) return "slow";
+  if (ratio <= 1.3) return "similar";
+  return "fast";
+}
+
+export function quadrantCenterX(q, width) {
+  return Math.round((q + 0.5) * width / 6);
+}
+
+export function validQuadrantsFor(spriteDir, tier, heroDir) {
+  const rel = spriteDir === heroDir ? "same" : "opposite";
+  let qs = [...(SPRITE_QUADRANT_RULES[`${rel}_${tier}`] ?? [2, 3, 4, 5])];
+  if (heroDir === -1) qs = qs.map(q => 5 - q); // mirror for hero entering from right
+  return qs;
+}
+
+export function minQuadGap(dir1, tier1, dir2, tier2) {
+  // Same direction + both similar speed → biggest overlap risk
+  return (dir1 === dir2 && tier1 === "similar" && tier2 === "similar") ? 2 : 1;
+}
+
+export function shuffleArray(arr, rand) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Pass 1: 1 sprite per level. Pass 2: up to 2 per level (even). Pass 3: up to 4 per level (random).
+// Returns [{ spriteIdx, carouselPos }]; sprites that don't fit are left out.
+export function distributeSpriteAssignments(spriteCount, nonHomePositions, rand) {
+  const N = spriteCount;
+  const spriteOrder = shuffleArray(Array.from({ length: N }, (_, i) => i), rand);
+  const levelOrder  = shuffleArray([...nonHomePositions], rand);
+  const counts = {};
+  nonHomePositions.forEach(p => { counts[p] = 0; });
+  const result = [];
+  let si = 0;
+
+  for (const pos of levelOrder) {           // pass 1
+    if (si >= N) break;
+    result.push({ spriteIdx: spriteOrder[si++], carouselPos: pos });
+    counts[pos]++;
+  }
+  for (const pos of levelOrder) {           // pass 2 (cap 2)
+    if (si >= N) break;
+    if (counts[pos] < 2) {
+      result.push({ spriteIdx: spriteOrder[si++], carouselPos: pos });
+      counts[pos]++;
+    }
+  }
+  while (si < N) {                          // pass 3 (cap 4)
+    const avail = nonHomePositions.filter(p => counts[p] < MAX_SPRITES_PER_LEVEL);
+    if (!avail.length) break;
+    const pos = avail[Math.floor(rand() * avail.length)];
+    result.push({ spriteIdx: spriteOrder[si++], carouselPos: pos });
+    counts[pos]++;
+  }
+  return result;
+}
+
+// Direction is determined by which half of the screen the quadrant is on:
+//   near hero's entry side (first 3 quadrants) → same direction as hero
+//   far from hero's entry side (last 3 quadrants) → opposite direction
+export function directionForQuadrant(q, heroDir) {
+  const nearHero = heroDir === 1 ? q < 3 : q >= 3;
+  return nearHero ? heroDir : -heroDir;
+}
+
+// For K > 1 sprites on a level: pick quadrant for each (direction follows from quadrant).
+// Drops sprites with no valid slot — option B (no relaxation of rules).
+// opts = { spriteConfigs, heroSpeed, width, rand }
+// Returns [{ ...sprite, direction, spawnX, quadrant }].
+export function resolveQuadrantsForLevel(sprites, heroDir, { spriteConfigs, heroSpeed, width, rand }) {
+  const placed = [];
+  const resolved = [];
+  for (const sp of sprites) {
+    const cfg  = spriteConfigs[sp.spriteIdx];
+    const tier = spriteSpeedTier(cfg.speed ?? 90, heroSpeed);
+
+    // Build candidate list: each quadrant has a fixed direction, check it passes validity rules
+    let candidates = [];
+    for (let q = 0; q < 6; q++) {
+      const dir = directionForQuadrant(q, heroDir);
+      if (validQuadrantsFor(dir, tier, heroDir).includes(q)) candidates.push({ q, dir });
+    }
+
+    // Apply separation from already-placed sprites
+    candidates = candidates.filter(({ q, dir }) =>
+      placed.every(p => Math.abs(q - p.q) >= minQuadGap(dir, tier, p.dir, p.tier))
+    );
+
+    if (!candidates.length) continue; // no valid slot — drop this sprite
+    const pick = candidates[Math.floor(rand() * candidates.length)];
+    placed.push({ q: pick.q, dir: pick.dir, tier });
+    resolved.push({ ...sp, direction: pick.dir, spawnX: quadrantCenterX(pick.q, width), quadrant: pick.q });
+  }
+  return resolved;
+}
+
+// Full placement for one walk, decided when the hero first leaves HOME.
+// opts = { spriteConfigs, nonHomePositions, heroDir, heroSpeed, width, rand }
+// Returns [{ spriteIdx, carouselPos, direction, spawnX, quadrant? }] grouped by
+// level: a lone sprite spawns at the far edge walking towards the hero,
+// several sprites get separated quadrants.
+export function planSecondarySprites({ spriteConfigs, nonHomePositions, heroDir, heroSpeed, width, rand }) {
+  const assignments = distributeSpriteAssignments(spriteConfigs.length, nonHomePositions, rand);
+
+  const byLevel = {};
+  for (const a of assignments) {
+    if (!byLevel[a.carouselPos]) byLevel[a.carouselPos] = [];
+    byLevel[a.carouselPos].push(a);
+  }
+
+  const out = [];
+  for (const sprites of Object.values(byLevel)) { // ascending carousel position
+    const resolved = sprites.length === 1
+      ? [{ ...sprites[0], direction: -heroDir, spawnX: heroDir === 1 ? width : 0 }]           // single: edge spawn, opposite dir
+      : resolveQuadrantsForLevel(sprites, heroDir, { spriteConfigs, heroSpeed, width, rand }); // multi: quadrant spawn
+    out.push(...resolved);
+  }
+  return out;
+}
+
+// Returns the effectiveDepthOffset for sprite i entering carouselPos.
+// Range: [2, cfg.depthOffset]. New sprite gets (min co-occupant depth - 2).
+// If that falls below 2, falls back to cfg.depthOffset.
+export function computeEffectiveDepthOffset(i, carouselPos, spriteConfigs, spriteStates) {
+  const cfg = spriteConfigs[i];
+  const defaultDepth = typeof cfg.depthOffset === "number" ? cfg.depthOffset : 0;
+  const coOccupants = spriteStates.filter((s, j) => j !== i && s.active && s.carouselPos === carouselPos);
+  if (!coOccupants.length) return defaultDepth;
+  const minDepth = Math.min(...coOccupants.map(s => s.effectiveDepthOffset ?? defaultDepth));
+  const candidate = minDepth - 2;
+  return candidate >= 2 ? candidate : defaultDepth;
+}